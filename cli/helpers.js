@@ -1,14 +1,67 @@
 const pathModule = require("path");
 const fs = require("fs");
 const readline = require("readline");
+const { createHash } = require("crypto");
 
 const { generateRandomSalt, generateRandomString } = require("../lib/cryptoEngine.js");
 const { renderTemplate } = require("../lib/formater.js");
+const { matchPatterns, parsePatterns } = require("../lib/glob.js");
+const { encodeQrCode, renderQrCodePng, renderQrCodeSvg } = require("../lib/qrcode.js");
+const { InvalidOptionError, StatiCryptError } = require("../lib/errors.js");
 const Yargs = require("yargs");
 
 const PASSWORD_TEMPLATE_DEFAULT_PATH = pathModule.join(__dirname, "..", "lib", "password_template.html");
+const SECTION_TEMPLATE_DEFAULT_PATH = pathModule.join(__dirname, "..", "lib", "section_template.html");
+const MODAL_TEMPLATE_DEFAULT_PATH = pathModule.join(__dirname, "..", "lib", "modal_template.html");
+const MARKDOWN_LAYOUT_DEFAULT_PATH = pathModule.join(__dirname, "..", "lib", "markdown_layout.html");
+const LOCALES_DIRECTORY_PATH = pathModule.join(__dirname, "..", "lib", "locales");
+const LOCALE_DEFAULT = "en";
 const OUTPUT_DIRECTORY_DEFAULT_PATH = "encrypted";
 exports.OUTPUT_DIRECTORY_DEFAULT_PATH = OUTPUT_DIRECTORY_DEFAULT_PATH;
+const IGNORE_FILE_NAME = ".staticryptignore";
+const CONFIG_FILE_NAME = ".staticrypt.json";
+
+// config file entries that aren't CLI options
+const CONFIG_ONLY_KEYS = ["inputs", "passwords", "profiles", "salt"];
+// options that make no sense to save in a config file
+const COMMAND_LINE_ONLY_OPTIONS = [
+    "config",
+    "decrypt",
+    "help",
+    "new-password",
+    "password",
+    "profile",
+    "qr",
+    "share",
+    "share-all",
+    "share-remember",
+    "version",
+];
+// the options a nested config file can override for the pages of its directory, and the ones of these that are paths
+const DIRECTORY_CONFIG_OPTIONS = [
+    "locale",
+    "locale-detect",
+    "markdown-layout",
+    "messages",
+    "modal-template",
+    "mode",
+    "remember",
+    "section-template",
+    "selector",
+    "strict",
+    "template",
+    "template-button",
+    "template-color-primary",
+    "template-color-secondary",
+    "template-error",
+    "template-instructions",
+    "template-placeholder",
+    "template-remember",
+    "template-title",
+    "template-toggle-hide",
+    "template-toggle-show",
+];
+const DIRECTORY_CONFIG_PATH_OPTIONS = ["markdown-layout", "messages", "modal-template", "section-template", "template"];
 
 /**
  * @param {string} message
@@ -60,6 +113,16 @@ exports.isOptionSetByUser = isOptionSetByUser;
  * @returns {Promise<string>}
  */
 function prompt(question) {
+    // once --password-stdin has read stdin to its end, nothing can be answered anymore
+    if (process.stdin.readableEnded) {
+        return Promise.reject(
+            new InvalidOptionError(
+                "can't prompt for an answer after reading the password from stdin. Set it with a flag instead, like" +
+                    " --short to accept a short password."
+            )
+        );
+    }
+
     const rl = readline.createInterface({
         input: process.stdin,
         output: process.stdout,
@@ -104,7 +167,11 @@ exports.validatePassword = validatePassword;
  */
 function getConfig(configPath) {
     if (configPath && fs.existsSync(configPath)) {
-        return JSON.parse(fs.readFileSync(configPath, "utf8"));
+        try {
+            return JSON.parse(fs.readFileSync(configPath, "utf8"));
+        } catch (e) {
+            throw new InvalidOptionError(`could not parse '${configPath}': ${e.message}`);
+        }
     }
 
     return {};
@@ -119,22 +186,229 @@ function writeConfig(configPath, config) {
 exports.writeConfig = writeConfig;
 
 /**
- * Get the password from the command arguments or environment variables.
+ * Get the options set in the config file, with the ones of the selected profile on top. Options are named like their
+ * long CLI flag, in kebab-case or camelCase, next to the "inputs", "passwords" and "salt" entries.
+ *
+ * @param {object} config
+ * @param {string|undefined} profileName - the --profile flag
+ * @returns {object}
+ */
+function getConfigOptions(config, profileName) {
+    const { profiles = {}, ...options } = config;
+
+    if (profileName !== undefined) {
+        if (!Object.prototype.hasOwnProperty.call(profiles, profileName)) {
+            const profileNames = Object.keys(profiles);
+
+            throw new InvalidOptionError(
+                `unknown profile "${profileName}", ` +
+                    (profileNames.length > 0
+                        ? `the config file has ${profileNames.map((name) => `"${name}"`).join(", ")}.`
+                        : `the config file has no "profiles" entry.`)
+            );
+        }
+
+        Object.assign(options, profiles[profileName]);
+    }
+
+    Object.keys(options).forEach((key) => {
+        const optionName = getOptionName(key);
+
+        if (optionName === "profiles") {
+            throw new InvalidOptionError(`a profile can't have profiles, in profile "${profileName}".`);
+        }
+
+        if (COMMAND_LINE_ONLY_OPTIONS.includes(optionName)) {
+            throw new InvalidOptionError(`"${key}" can only be set on the command line, not in the config file.`);
+        }
+
+        if (!CONFIG_ONLY_KEYS.includes(optionName) && !getOptionDefinitions().key[optionName]) {
+            throw new InvalidOptionError(`unknown option "${key}" in the config file.`);
+        }
+    });
+
+    const inputs = options.inputs === undefined ? [] : [].concat(options.inputs);
+    if (inputs.some((input) => typeof input !== "string")) {
+        throw new InvalidOptionError(`the "inputs" entry of the config file should be a list of paths.`);
+    }
+
+    return { ...options, inputs };
+}
+exports.getConfigOptions = getConfigOptions;
+
+/**
+ * Save the salt in the config file, in the selected profile if it has a salt of its own.
+ *
+ * @param {string|null} configPath
+ * @param {object} config
+ * @param {string|undefined} profileName
+ * @param {string} salt
+ */
+function writeConfigSalt(configPath, config, profileName, salt) {
+    const profile = profileName !== undefined && config.profiles[profileName];
+
+    if (profile && profile.salt !== undefined) {
+        profile.salt = salt;
+    } else {
+        config.salt = salt;
+    }
+
+    writeConfig(configPath, config);
+}
+exports.writeConfigSalt = writeConfigSalt;
+
+/**
+ * Read the .staticrypt.json files nested in the input directories. Each one overrides some options, like the mode or
+ * the templates, for the pages of its directory and subdirectories, the deeper ones taking precedence. The paths it
+ * sets are relative to its directory.
+ *
+ * @param {string|null} projectConfigPath - the config file of the run isn't an override, even when it's in an input
+ *  directory. Null to ignore the nested files as well
+ */
+function initDirectoryConfigs(projectConfigPath) {
+    const exports = {};
+
+    const fullProjectConfigPath = projectConfigPath && pathModule.resolve(projectConfigPath);
+    const optionsByDirectory = new Map();
+
+    /**
+     * @param {string} fullDirectory
+     * @returns {object} the options of the config file in this directory, camelCased
+     */
+    function getDirectoryOptions(fullDirectory) {
+        if (!optionsByDirectory.has(fullDirectory)) {
+            const configPath = pathModule.join(fullDirectory, CONFIG_FILE_NAME);
+            const options = {};
+
+            if (configPath !== fullProjectConfigPath) {
+                Object.entries(getConfig(configPath)).forEach(([key, value]) => {
+                    const optionName = getOptionName(key);
+
+                    if (!DIRECTORY_CONFIG_OPTIONS.includes(optionName)) {
+                        throw new InvalidOptionError(
+                            `'${configPath}': "${key}" can't be set for a directory, only in the config file of the run.`
+                        );
+                    }
+
+                    const choices = getOptionDefinitions().choices[optionName];
+                    if (choices && !choices.includes(value)) {
+                        throw new InvalidOptionError(
+                            `'${configPath}': "${key}" should be one of ${choices.map((c) => `"${c}"`).join(", ")}.`
+                        );
+                    }
+
+                    const camelCaseName = optionName.replace(/-([a-z])/g, (match, letter) => letter.toUpperCase());
+                    options[camelCaseName] = DIRECTORY_CONFIG_PATH_OPTIONS.includes(optionName)
+                        ? pathModule.resolve(fullDirectory, String(value))
+                        : value;
+                });
+            }
+
+            optionsByDirectory.set(fullDirectory, options);
+        }
+
+        return optionsByDirectory.get(fullDirectory);
+    }
+
+    /**
+     * @param {string} fullPath
+     * @param {string} fullRootDirectory - the directory the input path is in
+     * @returns {object} the options overriding the ones of the run for this page, empty if there are none
+     */
+    function getOptions(fullPath, fullRootDirectory) {
+        if (!projectConfigPath) {
+            return {};
+        }
+
+        // the directories of the input path containing the page, from the top down
+        const directories = [];
+        for (
+            let directory = pathModule.dirname(fullPath);
+            directory.startsWith(fullRootDirectory + pathModule.sep);
+            directory = pathModule.dirname(directory)
+        ) {
+            directories.unshift(directory);
+        }
+
+        return Object.assign({}, ...directories.map(getDirectoryOptions));
+    }
+    exports.getOptions = getOptions;
+
+    return exports;
+}
+exports.initDirectoryConfigs = initDirectoryConfigs;
+
+/**
+ * @param {string} key - an option name from a config file, in kebab-case or camelCase
+ * @returns {string} the name in kebab-case, like the long CLI flag
+ */
+function getOptionName(key) {
+    return key.replace(/[A-Z]/g, (letter) => "-" + letter.toLowerCase());
+}
+
+let optionDefinitions;
+
+/**
+ * @returns {{key: Object<string, boolean>, choices: Object<string, string[]>}} the options known to the CLI
+ */
+function getOptionDefinitions() {
+    if (!optionDefinitions) {
+        optionDefinitions = parseCommandLineArguments([]).getOptions();
+    }
+
+    return optionDefinitions;
+}
+
+/**
+ * @param {string} optionName - ex: "mode"
+ * @returns {string[]|undefined} the values the CLI accepts for the option, if it has a fixed list
+ */
+function getOptionChoices(optionName) {
+    return getOptionDefinitions().choices[optionName];
+}
+exports.getOptionChoices = getOptionChoices;
+
+/**
+ * Get the main password from the STATICRYPT_PASSWORD environment variable, the -p flag, a --password-file without a
+ * group or stdin, or prompt for it. Only one of them can be used, so a forgotten env variable can't silently win over
+ * the password you meant to use.
  *
- * @param {string} passwordArgument - password from the command line
+ * @param {{password: string|null, passwordFile: string[], passwordStdin: boolean}} namedArgs
  * @returns {Promise<string>}
  */
-async function getPassword(passwordArgument) {
-    // try to get the password from the environment variable
+async function getPassword(namedArgs) {
     const envPassword = process.env.STATICRYPT_PASSWORD;
-    const hasEnvPassword = envPassword !== undefined && envPassword !== "";
-    if (hasEnvPassword) {
+    const mainPasswordFiles = parsePasswordFiles(namedArgs.passwordFile).filter(({ group }) => group === null);
+
+    const sources = [
+        envPassword !== undefined && envPassword !== "" && "STATICRYPT_PASSWORD",
+        namedArgs.password !== null && "--password",
+        ...mainPasswordFiles.map(({ path }) => `--password-file ${path}`),
+        namedArgs.passwordStdin && "--password-stdin",
+    ].filter(Boolean);
+
+    if (sources.length > 1) {
+        throw new InvalidOptionError(`the password is set more than once, by ${sources.join(" and ")}. Use only one.`);
+    }
+
+    if (sources[0] === "STATICRYPT_PASSWORD") {
         return envPassword;
     }
 
-    // try to get the password from the command line arguments
-    if (passwordArgument !== null) {
-        return passwordArgument;
+    if (sources[0] === "--password") {
+        return namedArgs.password;
+    }
+
+    if (mainPasswordFiles.length > 0) {
+        return readPasswordFile(mainPasswordFiles[0].path);
+    }
+
+    if (namedArgs.passwordStdin) {
+        if (process.stdin.isTTY) {
+            throw new InvalidOptionError("--password-stdin expects the password to be piped in.");
+        }
+
+        return readPasswordText(await readStdin(), "stdin");
     }
 
     // prompt the user for their password
@@ -142,6 +416,279 @@ async function getPassword(passwordArgument) {
 }
 exports.getPassword = getPassword;
 
+/**
+ * Split the --password-file values into the main password file and the "<group>=<path>" files of the access groups.
+ *
+ * @param {string[]} passwordFiles
+ * @returns {{group: string|null, path: string}[]}
+ */
+function parsePasswordFiles(passwordFiles = []) {
+    return passwordFiles.map((passwordFile) => {
+        const groupMatch = passwordFile.match(/^([\w-]+)=(.+)$/);
+
+        return groupMatch ? { group: groupMatch[1], path: groupMatch[2] } : { group: null, path: passwordFile };
+    });
+}
+
+/**
+ * @param {string} path
+ * @returns {string}
+ */
+function readPasswordFile(path) {
+    let text;
+    try {
+        text = fs.readFileSync(path, "utf8");
+    } catch (e) {
+        throw new InvalidOptionError(`could not read the password file '${path}'.`);
+    }
+
+    return readPasswordText(text, `the password file '${path}'`);
+}
+
+/**
+ * Get the password out of a file or stdin: the final line break most editors and `echo` add isn't part of it.
+ *
+ * @param {string} text
+ * @param {string} sourceName
+ * @returns {string}
+ */
+function readPasswordText(text, sourceName) {
+    const password = text.replace(/\r?\n$/, "");
+
+    if (password === "") {
+        throw new InvalidOptionError(`${sourceName} is empty.`);
+    }
+
+    return password;
+}
+
+/**
+ * @returns {Promise<string>}
+ */
+function readStdin() {
+    return new Promise((resolve, reject) => {
+        let text = "";
+
+        process.stdin.setEncoding("utf8");
+        process.stdin.on("data", (chunk) => (text += chunk));
+        process.stdin.on("end", () => resolve(text));
+        process.stdin.on("error", reject);
+    });
+}
+
+/**
+ * Get the new password of the rotate command, from the STATICRYPT_NEW_PASSWORD env variable, the --new-password flag or
+ * a prompt. Like for the current password, only one of them can be used.
+ *
+ * @param {string|null} newPasswordArgument
+ * @returns {Promise<string>}
+ */
+async function getNewPassword(newPasswordArgument) {
+    const envNewPassword = process.env.STATICRYPT_NEW_PASSWORD;
+    const isEnvNewPasswordSet = envNewPassword !== undefined && envNewPassword !== "";
+
+    if (isEnvNewPasswordSet && newPasswordArgument !== null) {
+        throw new InvalidOptionError(
+            "the new password is set more than once, by STATICRYPT_NEW_PASSWORD and --new-password. Use only one."
+        );
+    }
+
+    if (isEnvNewPasswordSet) {
+        return envNewPassword;
+    }
+
+    if (newPasswordArgument !== null) {
+        return newPasswordArgument;
+    }
+
+    return prompt("Enter the new password: ");
+}
+exports.getNewPassword = getNewPassword;
+
+/**
+ * Access group of the sections marked without a group, unlocked by the main password. Keep in sync with
+ * lib/staticryptJs.js.
+ */
+const DEFAULT_GROUP = "default";
+exports.DEFAULT_GROUP = DEFAULT_GROUP;
+
+const GROUP_PASSWORD_ENV_PREFIX = "STATICRYPT_PASSWORD_";
+const NEW_GROUP_PASSWORD_ENV_PREFIX = "STATICRYPT_NEW_PASSWORD_";
+
+/**
+ * Normalize a group name into the key used to look up its password, so that "board-members" in a marker matches both
+ * the STATICRYPT_PASSWORD_BOARD_MEMBERS environment variable and a "board-members" entry in the config file.
+ *
+ * @param {string} group
+ * @returns {string}
+ */
+function getGroupKey(group) {
+    return group.toUpperCase().replace(/-/g, "_");
+}
+exports.getGroupKey = getGroupKey;
+
+/**
+ * Get the passwords of the named access groups, from the "passwords" entry of the config file, the
+ * STATICRYPT_PASSWORD_<GROUP> environment variables or the "<group>=<path>" password files. A group can have a list of
+ * passwords in the config file, each one unlocks it. Like the main password, each group's password can only be set in
+ * one place.
+ *
+ * @param {object} config
+ * @param {string[]} passwordFiles - the --password-file values
+ * @returns {Object<string, string[]>} group key => passwords
+ */
+function getGroupPasswords(config, passwordFiles = []) {
+    const groupPasswords = {};
+    const sourcesByGroupKey = {};
+
+    const setGroupPasswords = (group, source, getPasswords) => {
+        const groupKey = getGroupKey(group);
+        const sources = [...(sourcesByGroupKey[groupKey] || []), source];
+
+        if (sources.length > 1) {
+            throw new InvalidOptionError(
+                `the password of group "${group}" is set more than once, by ${sources.join(" and ")}. Use only one.`
+            );
+        }
+
+        sourcesByGroupKey[groupKey] = sources;
+        groupPasswords[groupKey] = getPasswords();
+    };
+
+    Object.entries(config.passwords || {}).forEach(([group, passwords]) => {
+        setGroupPasswords(group, `the "passwords" entry of the config file`, () =>
+            (Array.isArray(passwords) ? passwords : [passwords]).map(String)
+        );
+    });
+
+    Object.entries(getEnvGroupPasswords(GROUP_PASSWORD_ENV_PREFIX)).forEach(([groupKey, password]) => {
+        setGroupPasswords(groupKey, GROUP_PASSWORD_ENV_PREFIX + groupKey, () => [password]);
+    });
+
+    parsePasswordFiles(passwordFiles)
+        .filter(({ group }) => group !== null)
+        .forEach(({ group, path }) => {
+            setGroupPasswords(group, `--password-file ${group}=${path}`, () => [readPasswordFile(path)]);
+        });
+
+    return groupPasswords;
+}
+exports.getGroupPasswords = getGroupPasswords;
+
+/**
+ * Get the names of the access groups as written in the "passwords" entry of the config file and the "<group>=<path>"
+ * password files, which are the names of their markers. The environment variables only have the group key.
+ *
+ * @param {Object} config
+ * @param {string[]} [passwordFiles]
+ * @returns {Object<string, string>} group key => group name
+ */
+function getGroupNames(config, passwordFiles = []) {
+    const groupNames = {};
+
+    [
+        ...Object.keys(config.passwords || {}),
+        ...parsePasswordFiles(passwordFiles)
+            .map(({ group }) => group)
+            .filter((group) => group !== null),
+    ].forEach((group) => {
+        groupNames[getGroupKey(group)] = group;
+    });
+
+    return groupNames;
+}
+exports.getGroupNames = getGroupNames;
+
+/**
+ * Get the new passwords of the access groups for the rotate command, from the STATICRYPT_NEW_PASSWORD_<GROUP>
+ * environment variables. Groups without one keep their current password.
+ *
+ * @returns {Object<string, string>} group key => password
+ */
+function getNewGroupPasswords() {
+    return getEnvGroupPasswords(NEW_GROUP_PASSWORD_ENV_PREFIX);
+}
+exports.getNewGroupPasswords = getNewGroupPasswords;
+
+/**
+ * @param {string} prefix
+ * @returns {Object<string, string>} group key => password
+ */
+function getEnvGroupPasswords(prefix) {
+    const groupPasswords = {};
+
+    Object.keys(process.env)
+        .filter((name) => name.startsWith(prefix) && process.env[name] !== "")
+        .forEach((name) => {
+            groupPasswords[name.substring(prefix.length)] = process.env[name];
+        });
+
+    return groupPasswords;
+}
+
+/**
+ * List the passwords to make share links for with --share-all: the main password and each password of each group,
+ * labeled with the name of their group, numbered when a group has several.
+ *
+ * @param {string} password
+ * @param {Object<string, string[]>} groupPasswords - group key => passwords
+ * @param {Object<string, string>} [groupNames] - group key => group name, see getGroupNames. The groups without a name
+ *  are labeled with their key in lowercase
+ * @returns {{label: string, password: string}[]}
+ */
+function getShareRecipients(password, groupPasswords, groupNames = {}) {
+    const defaultGroupKey = getGroupKey(DEFAULT_GROUP);
+    const passwordsByGroupKey = {
+        [defaultGroupKey]: [...new Set([password, ...(groupPasswords[defaultGroupKey] || [])])],
+    };
+    Object.entries(groupPasswords)
+        .filter(([groupKey]) => groupKey !== defaultGroupKey)
+        .forEach(([groupKey, passwords]) => {
+            passwordsByGroupKey[groupKey] = passwords;
+        });
+
+    return Object.entries(passwordsByGroupKey).flatMap(([groupKey, passwords]) => {
+        const group = groupKey === defaultGroupKey ? DEFAULT_GROUP : groupNames[groupKey] || groupKey.toLowerCase();
+
+        return passwords.map((groupPassword, i) => ({
+            label: passwords.length === 1 ? group : `${group}-${i + 1}`,
+            password: groupPassword,
+        }));
+    });
+}
+exports.getShareRecipients = getShareRecipients;
+
+/**
+ * @param {string} filePath - the --qr value, its extension sets the image format
+ * @returns {(shareLink: string) => string|Buffer} renders a share link as the image file contents
+ */
+function getQrCodeRenderer(filePath) {
+    const extension = pathModule.extname(filePath).toLowerCase();
+
+    if (extension === ".svg") {
+        return (shareLink) => renderQrCodeSvg(encodeQrCode(shareLink));
+    }
+
+    if (extension === ".png") {
+        return (shareLink) => renderQrCodePng(encodeQrCode(shareLink));
+    }
+
+    throw new InvalidOptionError(`can't tell the image format of '${filePath}', use a .svg or .png extension.`);
+}
+exports.getQrCodeRenderer = getQrCodeRenderer;
+
+/**
+ * @param {string} filePath
+ * @param {string} label
+ * @returns {string} the path with the label before the extension, ex: "qr/link.svg" => "qr/link-partners.svg"
+ */
+function getLabeledPath(filePath, label) {
+    const { dir, name, ext } = pathModule.parse(filePath);
+
+    return pathModule.join(dir, `${name}-${label}${ext}`);
+}
+exports.getLabeledPath = getLabeledPath;
+
 /**
  * @param {string} filepath
  * @returns {string}
@@ -150,7 +697,7 @@ function getFileContent(filepath) {
     try {
         return fs.readFileSync(filepath, "utf8");
     } catch (e) {
-        exitWithError(`input file '${filepath}' does not exist!`);
+        throw new StatiCryptError(`input file '${filepath}' does not exist!`);
     }
 }
 exports.getFileContent = getFileContent;
@@ -161,11 +708,17 @@ exports.getFileContent = getFileContent;
  * @returns {string}
  */
 function getValidatedSalt(namedArgs, config) {
-    const salt = getSalt(namedArgs, config);
+    return validateSalt(getSalt(namedArgs, config));
+}
+exports.getValidatedSalt = getValidatedSalt;
 
-    // validate the salt
+/**
+ * @param {string} salt
+ * @returns {string}
+ */
+function validateSalt(salt) {
     if (salt.length !== 32 || /[^a-f0-9]/.test(salt)) {
-        exitWithError(
+        throw new InvalidOptionError(
             "the salt should be a 32 character long hexadecimal string (only [0-9a-f] characters allowed)" +
                 "\nDetected salt: " +
                 salt
@@ -174,7 +727,7 @@ function getValidatedSalt(namedArgs, config) {
 
     return salt;
 }
-exports.getValidatedSalt = getValidatedSalt;
+exports.validateSalt = validateSalt;
 
 /**
  * @param {object} namedArgs
@@ -198,7 +751,8 @@ function getSalt(namedArgs, config) {
 /**
  * A dead-simple alternative to webpack or rollup for inlining simple
  * CommonJS modules in a browser <script>.
- * - Removes all lines containing require().
+ * - Inlines the modules required with a relative path, like `const kdf = require("./kdf.js");`.
+ * - Removes all other lines containing require().
  * - Wraps the module in an immediately invoked function that returns `exports`.
  *
  * @param {string} modulePath - path from staticrypt root directory
@@ -208,10 +762,19 @@ function convertCommonJSToBrowserJS(modulePath) {
     const resolvedPath = pathModule.join(rootDirectory, ...modulePath.split("/")) + ".js";
 
     if (!fs.existsSync(resolvedPath)) {
-        exitWithError(`could not find module to convert at path "${resolvedPath}"`);
+        throw new StatiCryptError(`could not find module to convert at path "${resolvedPath}"`);
     }
 
-    const moduleText = fs.readFileSync(resolvedPath, "utf8").replace(/^.*\brequire\(.*$\n/gm, "");
+    const moduleText = fs
+        .readFileSync(resolvedPath, "utf8")
+        .replace(
+            /^const ([\w{}, ]+) = require\("\.\/([\w-]+)\.js"\);$/gm,
+            (_, name, dependency) =>
+                `const ${name} = ${convertCommonJSToBrowserJS(
+                    pathModule.posix.join(pathModule.posix.dirname(modulePath), dependency)
+                )};`
+        )
+        .replace(/^.*\brequire\(.*$\n/gm, "");
 
     return `
 ((function(){
@@ -241,62 +804,345 @@ function buildStaticryptJS() {
 exports.buildStaticryptJS = buildStaticryptJS;
 
 /**
- * @param {string} filePath
- * @param {string} errorName
+ * Build the section runtime: the modal and placeholder logic of lib/staticrypt.js, with the staticrypt engine inlined.
+ *
  * @returns {string}
  */
-function readFile(filePath, errorName = "file") {
-    try {
-        return fs.readFileSync(filePath, "utf8");
-    } catch (e) {
-        console.error(e);
-        exitWithError(`could not read ${errorName} at path "${filePath}"`);
-    }
+function buildSectionRuntimeJS() {
+    const runtimeJS = readFile(pathModule.join(__dirname, "..", "lib", "staticrypt.js"), "section runtime");
+
+    return renderTemplate(runtimeJS, { js_staticrypt: buildStaticryptJS() });
 }
+exports.buildSectionRuntimeJS = buildSectionRuntimeJS;
 
 /**
- * Fill the template with provided data and writes it to output file.
+ * Initialize the delivery of the section runtime to the encrypted pages, either inlined in each page or written once
+ * in the output directory under a content-hashed filename (so it can be cached forever) and referenced by each page.
  *
- * @param {Object} data
- * @param {string} outputFilePath
- * @param {string} templateFilePath
+ * @param {"inline"|"external"} mode
+ * @param {string} outputDirectory
+ * @param {string} runtimeJS
+ * @param {boolean} isDryRun - don't write the external runtime file
  */
-function genFile(data, outputFilePath, templateFilePath) {
-    const templateContents = readFile(templateFilePath, "template");
+function initSectionRuntime(mode, outputDirectory, runtimeJS, isDryRun = false) {
+    const exports = {};
 
-    const renderedTemplate = renderTemplate(templateContents, data);
+    const contentHash = createHash("sha256").update(runtimeJS).digest("hex").substring(0, 10);
+    const runtimeOutputPath = pathModule.join(outputDirectory, `staticrypt.${contentHash}.js`);
+    let isRuntimeWritten = false;
 
-    writeFile(outputFilePath, renderedTemplate);
+    exports.contentHash = contentHash;
+
+    /**
+     * Get the <script> tag loading the runtime for the page at the given path, writing the external runtime file the
+     * first time it's needed.
+     *
+     * @param {string} pageOutputPath
+     * @returns {string}
+     */
+    function getScriptTag(pageOutputPath) {
+        if (mode === "inline") {
+            return `<script>\n${runtimeJS}\n</script>`;
+        }
+
+        if (!isRuntimeWritten && !isDryRun) {
+            writeFile(runtimeOutputPath, runtimeJS);
+            isRuntimeWritten = true;
+        }
+
+        // the relative path keeps working for pages in nested directories and wherever the output is deployed
+        const relativePath = pathModule
+            .relative(pathModule.dirname(pageOutputPath), runtimeOutputPath)
+            .split(pathModule.sep)
+            .join("/");
+
+        return `<script src="${relativePath}"></script>`;
+    }
+    exports.getScriptTag = getScriptTag;
+
+    return exports;
 }
-exports.genFile = genFile;
+exports.initSectionRuntime = initSectionRuntime;
 
 /**
- * @param {string} path
- * @param {string} fullRootDirectory
- * @param {string} outputDirectory
+ * @param {string} content
  * @returns {string}
  */
-function getFullOutputPath(path, fullRootDirectory, outputDirectory) {
-    const relativePath = pathModule.relative(fullRootDirectory, path);
-    return outputDirectory + "/" + relativePath;
+function getContentHash(content) {
+    return createHash("sha256").update(content).digest("hex");
 }
-exports.getFullOutputPath = getFullOutputPath;
 
 /**
- * @param {string} inputFilePath
- * @param {string} outputFilePath
+ * @param {string[]} filePaths
+ * @returns {string} a hash that changes when any of the files is modified, created or removed
  */
-function copyFile(inputFilePath, outputFilePath) {
-    // create output directory if it does not exist
-    createDirectoryStructureForFile(outputFilePath);
-
-    try {
-        fs.copyFileSync(inputFilePath, outputFilePath, fs.constants.COPYFILE_FICLONE);
-    } catch (e) {
-        console.error(e);
-        exitWithError(`could not write file at path "${filePath}"`);
-    }
+function getFilesHash(filePaths) {
+    return getContentHash(
+        filePaths
+            .map(
+                (filePath) =>
+                    filePath + ":" + (fs.existsSync(filePath) ? getContentHash(fs.readFileSync(filePath)) : "")
+            )
+            .join("\n")
+    );
 }
+exports.getFilesHash = getFilesHash;
+
+/**
+ * The build cache remembers which source produced each output file, so unchanged files keep their previous ciphertext
+ * instead of being encrypted again with new random IVs. Entries are keyed by output path, and only valid for the same
+ * build fingerprint (salt, passwords, templates and options).
+ *
+ * @param {string|null} cachePath - null to disable the cache
+ * @param {object} fingerprint - everything besides the source content that the output depends on
+ */
+function initBuildCache(cachePath, fingerprint) {
+    const exports = {};
+
+    const fingerprintHash = getContentHash(JSON.stringify(fingerprint));
+    const previousEntries = (cachePath && getConfig(cachePath).files) || {};
+    const entries = {};
+
+    /**
+     * @param {string} sourceContent
+     * @returns {string}
+     */
+    function getSourceHash(sourceContent) {
+        return getContentHash(fingerprintHash + sourceContent);
+    }
+
+    /**
+     * Whether the output file was built from this source content and hasn't been modified since.
+     *
+     * @param {string} outputPath
+     * @param {string} sourceContent
+     * @returns {boolean}
+     */
+    function isUpToDate(outputPath, sourceContent) {
+        const entry = previousEntries[outputPath];
+
+        if (!cachePath || !entry || entry.sourceHash !== getSourceHash(sourceContent) || !fs.existsSync(outputPath)) {
+            return false;
+        }
+
+        if (entry.outputHash !== getContentHash(fs.readFileSync(outputPath, "utf8"))) {
+            return false;
+        }
+
+        entries[outputPath] = entry;
+        return true;
+    }
+    exports.isUpToDate = isUpToDate;
+
+    /**
+     * @param {string} outputPath
+     * @param {string} sourceContent
+     * @param {object} details - what was done to the file, for the report of the runs where it's unchanged
+     */
+    function update(outputPath, sourceContent, details = {}) {
+        entries[outputPath] = {
+            sourceHash: getSourceHash(sourceContent),
+            outputHash: getContentHash(fs.readFileSync(outputPath, "utf8")),
+            details,
+        };
+    }
+    exports.update = update;
+
+    /**
+     * @param {string} outputPath
+     * @returns {object} the details saved when the file was built
+     */
+    function getDetails(outputPath) {
+        const entry = entries[outputPath] || previousEntries[outputPath];
+
+        return (entry && entry.details) || {};
+    }
+    exports.getDetails = getDetails;
+
+    /**
+     * Write the entries of the files seen in this run, so files that were removed since are dropped.
+     */
+    function save() {
+        writeConfig(cachePath, { files: entries });
+    }
+    exports.save = save;
+
+    return exports;
+}
+exports.initBuildCache = initBuildCache;
+
+/**
+ * @param {string} filePath
+ * @param {string} errorName
+ * @returns {string}
+ */
+function readFile(filePath, errorName = "file") {
+    try {
+        return fs.readFileSync(filePath, "utf8");
+    } catch (e) {
+        throw new StatiCryptError(`could not read ${errorName} at path "${filePath}"`);
+    }
+}
+exports.readFile = readFile;
+
+/**
+ * @returns {string[]} the locales that have a bundled message catalog
+ */
+function getAvailableLocales() {
+    return fs
+        .readdirSync(LOCALES_DIRECTORY_PATH)
+        .filter((fileName) => fileName.endsWith(".json"))
+        .map((fileName) => fileName.slice(0, -".json".length))
+        .sort();
+}
+
+/**
+ * Get a bundled message catalog. Messages missing from it fall back to the default locale.
+ *
+ * @param {string} locale
+ * @returns {Object<string, string>}
+ */
+function getLocaleCatalog(locale) {
+    const readCatalog = (locale) =>
+        JSON.parse(readFile(pathModule.join(LOCALES_DIRECTORY_PATH, `${locale}.json`), "locale catalog"));
+
+    return { ...readCatalog(LOCALE_DEFAULT), ...readCatalog(locale) };
+}
+
+/**
+ * Get the user-facing messages: the catalog of the chosen locale, overridden by the custom catalog passed with
+ * --messages, then by the --template-* flags.
+ *
+ * @param {object} namedArgs
+ * @returns {Object<string, string>}
+ */
+function getMessages(namedArgs) {
+    const isBundledLocale = getAvailableLocales().includes(namedArgs.locale);
+
+    // a custom catalog can provide a locale we don't bundle
+    if (!isBundledLocale && !namedArgs.messages) {
+        throw new InvalidOptionError(
+            `no message catalog for locale "${namedArgs.locale}". Available locales: ${getAvailableLocales().join(
+                ", "
+            )}. You can also provide your own with --messages.`
+        );
+    }
+
+    const messages = getLocaleCatalog(isBundledLocale ? namedArgs.locale : LOCALE_DEFAULT);
+
+    if (namedArgs.messages) {
+        let customMessages;
+        try {
+            customMessages = JSON.parse(readFile(namedArgs.messages, "messages file"));
+        } catch (e) {
+            throw new InvalidOptionError(`could not parse the messages file "${namedArgs.messages}": ${e.message}`);
+        }
+
+        const unknownKeys = Object.keys(customMessages).filter((key) => messages[key] === undefined);
+        if (unknownKeys.length > 0) {
+            throw new InvalidOptionError(
+                `unknown message "${unknownKeys[0]}" in "${namedArgs.messages}". Available messages: ` +
+                    Object.keys(messages).join(", ")
+            );
+        }
+
+        Object.assign(messages, customMessages);
+    }
+
+    Object.keys(messages).forEach((key) => {
+        // ex: "toggle_show" is overridden by the "templateToggleShow" option
+        const flagValue = namedArgs["template" + key.replace(/(?:^|_)(\w)/g, (match, letter) => letter.toUpperCase())];
+
+        if (flagValue !== undefined) {
+            messages[key] = flagValue;
+        }
+    });
+
+    return messages;
+}
+exports.getMessages = getMessages;
+
+/**
+ * Get the catalogs of all the bundled locales, for the browser to pick from with --locale-detect. The messages of the
+ * chosen locale replace its bundled catalog, so custom messages and --template-* flags still apply.
+ *
+ * @param {string} locale
+ * @param {Object<string, string>} messages
+ * @returns {Object<string, Object<string, string>>}
+ */
+function getLocaleCatalogs(locale, messages) {
+    const catalogs = {};
+
+    getAvailableLocales().forEach((availableLocale) => {
+        catalogs[availableLocale] = getLocaleCatalog(availableLocale);
+    });
+    catalogs[locale] = messages;
+
+    return catalogs;
+}
+exports.getLocaleCatalogs = getLocaleCatalogs;
+
+/**
+ * Prefix the messages so they can be used as template variables: "title" is available as "template_title".
+ *
+ * @param {Object<string, string>} messages
+ * @returns {Object<string, string>}
+ */
+function getMessagesTemplateData(messages) {
+    const templateData = {};
+
+    Object.entries(messages).forEach(([key, message]) => {
+        templateData["template_" + key] = message;
+    });
+
+    return templateData;
+}
+exports.getMessagesTemplateData = getMessagesTemplateData;
+
+/**
+ * Fill the template with provided data and writes it to output file.
+ *
+ * @param {Object} data
+ * @param {string} outputFilePath
+ * @param {string} templateFilePath
+ */
+function genFile(data, outputFilePath, templateFilePath) {
+    const templateContents = readFile(templateFilePath, "template");
+
+    const renderedTemplate = renderTemplate(templateContents, data);
+
+    writeFile(outputFilePath, renderedTemplate);
+}
+exports.genFile = genFile;
+
+/**
+ * @param {string} path
+ * @param {string} fullRootDirectory
+ * @param {string} outputDirectory
+ * @returns {string}
+ */
+function getFullOutputPath(path, fullRootDirectory, outputDirectory) {
+    // Markdown files are rendered to HTML pages
+    const relativePath = pathModule.relative(fullRootDirectory, path).replace(/\.md$/, ".html");
+    return outputDirectory + "/" + relativePath;
+}
+exports.getFullOutputPath = getFullOutputPath;
+
+/**
+ * @param {string} inputFilePath
+ * @param {string} outputFilePath
+ */
+function copyFile(inputFilePath, outputFilePath) {
+    // create output directory if it does not exist
+    createDirectoryStructureForFile(outputFilePath);
+
+    try {
+        fs.copyFileSync(inputFilePath, outputFilePath, fs.constants.COPYFILE_FICLONE);
+    } catch (e) {
+        throw new StatiCryptError(`could not write file at path "${outputFilePath}"`);
+    }
+}
+exports.copyFile = copyFile;
 
 /**
  * @param {string} filePath
@@ -309,8 +1155,7 @@ function writeFile(filePath, contents) {
     try {
         fs.writeFileSync(filePath, contents);
     } catch (e) {
-        console.error(e);
-        exitWithError(`could not write file at path "${filePath}"`);
+        throw new StatiCryptError(`could not write file at path "${filePath}"`);
     }
 }
 exports.writeFile = writeFile;
@@ -336,44 +1181,571 @@ function isCustomPasswordTemplateDefault(templatePathParameter) {
 exports.isCustomPasswordTemplateDefault = isCustomPasswordTemplateDefault;
 
 /**
+ * @param {string} path
+ * @returns {boolean}
+ */
+function isMarkdownFile(path) {
+    return path.endsWith(".md");
+}
+exports.isMarkdownFile = isMarkdownFile;
+
+/**
+ * Pages are encrypted, the other files are copied as-is. Markdown files are rendered to HTML pages first.
+ *
+ * @param {string} path
+ * @returns {boolean}
+ */
+function isPageFile(path) {
+    return path.endsWith(".html") || path.endsWith(".htm") || isMarkdownFile(path);
+}
+exports.isPageFile = isPageFile;
+
+/**
+ * Decide what to do with the files found in the input directories: skip the ones excluded by the --exclude patterns or
+ * a .staticryptignore file (or not matching the --include patterns, when there are some), and copy the pages matching
+ * the --passthrough patterns as-is.
+ *
+ * The option patterns are relative to the directory the input path is in, like the paths in the output directory. The
+ * patterns of a .staticryptignore file are relative to its directory and apply to its subdirectories, the ones in
+ * deeper directories taking precedence. The files are read in the current directory and in the input directories.
+ *
+ * @param {{include?: string[], exclude?: string[], passthrough?: string[]}} options
+ */
+function initFileFilter(options) {
+    const exports = {};
+
+    const includePatterns = parsePatterns(options.include || []);
+    const excludePatterns = parsePatterns(options.exclude || []);
+    const passthroughPatterns = parsePatterns(options.passthrough || []);
+    const ignorePatternsByDirectory = new Map();
+
+    /**
+     * @param {string} fullPath
+     * @param {string} fullDirectory
+     * @returns {boolean}
+     */
+    function isInDirectory(fullPath, fullDirectory) {
+        return fullPath === fullDirectory || fullPath.startsWith(fullDirectory + pathModule.sep);
+    }
+
+    /**
+     * @param {string} fullDirectory
+     * @param {string} fullPath
+     * @returns {string} with "/" separators, like in the patterns
+     */
+    function getRelativePath(fullDirectory, fullPath) {
+        return pathModule.relative(fullDirectory, fullPath).split(pathModule.sep).join("/");
+    }
+
+    /**
+     * @param {string} fullDirectory
+     * @returns {import("../lib/glob.js").Pattern[]}
+     */
+    function getIgnorePatterns(fullDirectory) {
+        if (!ignorePatternsByDirectory.has(fullDirectory)) {
+            const ignoreFilePath = pathModule.join(fullDirectory, IGNORE_FILE_NAME);
+            const lines = fs.existsSync(ignoreFilePath)
+                ? readFile(ignoreFilePath, IGNORE_FILE_NAME).split(/\r?\n/)
+                : [];
+
+            ignorePatternsByDirectory.set(fullDirectory, parsePatterns(lines));
+        }
+
+        return ignorePatternsByDirectory.get(fullDirectory);
+    }
+
+    /**
+     * @param {import("../lib/glob.js").Pattern[]} patterns
+     * @param {string} fullPath
+     * @param {string} fullRootDirectory
+     * @returns {boolean} whether the patterns match the file or one of its directories
+     */
+    function isMatchedWithDirectories(patterns, fullPath, fullRootDirectory) {
+        const relativePath = getRelativePath(fullRootDirectory, fullPath);
+        const segments = relativePath.split("/");
+
+        return segments.some((segment, i) =>
+            matchPatterns(patterns, segments.slice(0, i + 1).join("/"), i < segments.length - 1)
+        );
+    }
+
+    /**
+     * @param {string} fullPath
+     * @param {boolean} isDirectory
+     * @param {string} fullRootDirectory
+     * @returns {boolean}
+     */
+    function isEntryExcluded(fullPath, isDirectory, fullRootDirectory) {
+        // our own files configure the run, they aren't part of the site
+        if ([IGNORE_FILE_NAME, CONFIG_FILE_NAME].includes(pathModule.basename(fullPath))) {
+            return true;
+        }
+
+        if (matchPatterns(excludePatterns, getRelativePath(fullRootDirectory, fullPath), isDirectory)) {
+            return true;
+        }
+
+        // the ignore files of the parent directories, from the top down
+        let isIgnored = false;
+        const directories = [];
+        for (let directory = pathModule.dirname(fullPath); ; directory = pathModule.dirname(directory)) {
+            if (isInDirectory(directory, process.cwd()) || isInDirectory(directory, fullRootDirectory)) {
+                directories.unshift(directory);
+            }
+
+            if (directory === pathModule.dirname(directory)) {
+                break;
+            }
+        }
+        directories.forEach((directory) => {
+            const isMatch = matchPatterns(
+                getIgnorePatterns(directory),
+                getRelativePath(directory, fullPath),
+                isDirectory
+            );
+
+            if (isMatch !== undefined) {
+                isIgnored = isMatch;
+            }
+        });
+
+        return isIgnored;
+    }
+
+    /**
+     * Whether a file or directory found in an input directory should be skipped, because it or one of its parent
+     * directories is excluded, or because it doesn't match the include patterns.
+     *
+     * @param {string} fullPath
+     * @param {boolean} isDirectory
+     * @param {string} fullRootDirectory - the directory the input path is in
+     * @returns {boolean}
+     */
+    function isExcluded(fullPath, isDirectory, fullRootDirectory) {
+        // an excluded directory excludes everything inside it
+        for (
+            let path = fullPath;
+            path !== fullRootDirectory && isInDirectory(path, fullRootDirectory);
+            path = pathModule.dirname(path)
+        ) {
+            if (isEntryExcluded(path, path !== fullPath || isDirectory, fullRootDirectory)) {
+                return true;
+            }
+        }
+
+        // directories are walked anyway, the include patterns might match files inside them
+        return (
+            !isDirectory &&
+            includePatterns.length > 0 &&
+            !isMatchedWithDirectories(includePatterns, fullPath, fullRootDirectory)
+        );
+    }
+    exports.isExcluded = isExcluded;
+
+    /**
+     * @param {string} fullPath
+     * @param {string} fullRootDirectory - the directory the input path is in
+     * @returns {boolean} whether the page should be copied as-is
+     */
+    function isPassthrough(fullPath, fullRootDirectory) {
+        return isMatchedWithDirectories(passthroughPatterns, fullPath, fullRootDirectory);
+    }
+    exports.isPassthrough = isPassthrough;
+
+    return exports;
+}
+exports.initFileFilter = initFileFilter;
+
+/**
+ * @param {(fullPath: string, rootDirectoryFromArgument: string) => void} callback
  * @param {string} path
  * @param {string} outputDirectory
  * @param {string} rootDirectory
- * @param {(fullPath: string, rootDirectoryFromArgument: string) => void} callback
+ * @param {ReturnType<typeof initFileFilter>} fileFilter - which files in the directories to skip or copy as-is
+ * @param {(fullPath: string, fullOutputPath: string) => void} copyCallback - applied to the other files
  */
-function recursivelyApplyCallbackToHtmlFiles(callback, path, outputDirectory, rootDirectory = "") {
+function recursivelyApplyCallbackToHtmlFiles(
+    callback,
+    path,
+    outputDirectory,
+    rootDirectory = "",
+    fileFilter = initFileFilter({}),
+    copyCallback = copyFile
+) {
     const fullPath = pathModule.resolve(path);
     const fullRootDirectory = rootDirectory || pathModule.dirname(fullPath);
 
     if (fs.statSync(fullPath).isDirectory()) {
-        fs.readdirSync(fullPath).forEach((filePath) => {
-            const fullFilePath = `${fullPath}/${filePath}`;
+        fs.readdirSync(fullPath, { withFileTypes: true }).forEach((entry) => {
+            const fullFilePath = `${fullPath}/${entry.name}`;
 
-            recursivelyApplyCallbackToHtmlFiles(callback, fullFilePath, outputDirectory, fullRootDirectory);
+            // the paths given as arguments are always processed, the filter applies to what's inside directories
+            if (fileFilter.isExcluded(fullFilePath, entry.isDirectory(), fullRootDirectory)) {
+                return;
+            }
+
+            recursivelyApplyCallbackToHtmlFiles(
+                callback,
+                fullFilePath,
+                outputDirectory,
+                fullRootDirectory,
+                fileFilter,
+                copyCallback
+            );
         });
         return;
     }
 
-    // apply the callback if it's an HTML file
-    if (fullPath.endsWith(".html") || fullPath.endsWith(".htm")) {
+    // apply the callback if it's an HTML or Markdown file
+    if (isPageFile(fullPath) && !fileFilter.isPassthrough(fullPath, fullRootDirectory)) {
         callback(fullPath, fullRootDirectory);
     }
     // else just copy the file as is
     else {
         const fullOutputPath = getFullOutputPath(fullPath, fullRootDirectory, outputDirectory);
-        copyFile(fullPath, fullOutputPath);
+        copyCallback(fullPath, fullOutputPath);
     }
 }
 exports.recursivelyApplyCallbackToHtmlFiles = recursivelyApplyCallbackToHtmlFiles;
 
-function parseCommandLineArguments() {
+/**
+ * @typedef {{
+ *  input: string,
+ *  output: string,
+ *  action: "encrypted"|"copied"|"unchanged",
+ *  mode?: "sections"|"page"|"asset",
+ *  sections?: Object<string, number>,
+ *  ciphertextLength?: number,
+ *  unencryptedPage?: "no-markers"|"passthrough",
+ * }} ReportEntry - unencryptedPage flags the pages written in plaintext, and why. The assets encrypted with the
+ * sections of a page (--encrypt-assets) have an entry of their own, in "asset" mode
+ */
+
+/**
+ * Keep track of what happens to each input file, to list it after a dry run or write it to a JSON report.
+ *
+ * @param {boolean} isDryRun
+ */
+function initRunReport(isDryRun) {
+    const exports = {};
+
+    const entries = new Map();
+
+    /**
+     * @param {string} path
+     * @returns {string} relative to the current directory, with "/" separators
+     */
+    function getDisplayPath(path) {
+        return pathModule.relative(process.cwd(), path).split(pathModule.sep).join("/");
+    }
+
+    /**
+     * @param {ReportEntry} entry
+     */
+    function addEntry(entry) {
+        const displayEntry = { ...entry, input: getDisplayPath(entry.input), output: getDisplayPath(entry.output) };
+
+        // keyed by output: an asset encrypted with a section can also be copied, for the links outside the sections
+        entries.set(displayEntry.output, displayEntry);
+    }
+    exports.addEntry = addEntry;
+
+    /**
+     * @returns {ReportEntry[]} sorted by input path, then output path
+     */
+    function getEntries() {
+        return [...entries.values()].sort((a, b) =>
+            a.input === b.input ? (a.output < b.output ? -1 : 1) : a.input < b.input ? -1 : 1
+        );
+    }
+
+    /**
+     * @returns {{encrypted: number, copied: number, unchanged: number, unencryptedPages: number, sections: number}}
+     */
+    function getTotals() {
+        const allEntries = getEntries();
+
+        return {
+            encrypted: allEntries.filter(({ action }) => action === "encrypted").length,
+            copied: allEntries.filter(({ action }) => action === "copied").length,
+            unchanged: allEntries.filter(({ action }) => action === "unchanged").length,
+            unencryptedPages: allEntries.filter(({ unencryptedPage }) => unencryptedPage).length,
+            sections: allEntries.reduce(
+                (count, { sections = {} }) => count + Object.values(sections).reduce((a, b) => a + b, 0),
+                0
+            ),
+        };
+    }
+
+    /**
+     * Print what a dry run would do: a line per file and the totals.
+     */
+    function print() {
+        const verbs = { encrypted: "would encrypt", copied: "would copy", unchanged: "would keep unchanged" };
+
+        getEntries().forEach(({ input, action, mode, sections, unencryptedPage }) => {
+            let details = "";
+
+            if (mode === "page") {
+                details = " (whole page)";
+            } else if (mode === "sections") {
+                const groups = Object.entries(sections).map(([group, count]) => `${group}: ${count}`);
+                details = ` (sections - ${groups.join(", ")})`;
+            } else if (mode === "asset") {
+                details = " (asset of an encrypted section)";
+            } else if (unencryptedPage) {
+                details = ` - WARNING: page left unencrypted (${unencryptedPage})`;
+            }
+
+            console.log(`${verbs[action]} ${input}${details}`);
+        });
+
+        const totals = getTotals();
+        console.log(
+            `${totals.encrypted} encrypted, ${totals.copied} copied, ${totals.unchanged} unchanged - ` +
+                `${totals.sections} sections, ${totals.unencryptedPages} unencrypted pages. Nothing was written.`
+        );
+    }
+    exports.print = print;
+
+    /**
+     * @param {string} reportPath
+     */
+    function save(reportPath) {
+        const report = { dryRun: isDryRun, totals: getTotals(), files: getEntries() };
+
+        writeFile(reportPath, JSON.stringify(report, null, 4) + "\n");
+    }
+    exports.save = save;
+
+    return exports;
+}
+exports.initRunReport = initRunReport;
+
+const WATCH_DEBOUNCE_DELAY_IN_MS = 100;
+
+/**
+ * Watch the input paths: apply the callback to HTML files that are added or changed (other files are copied), and
+ * remove the output of deleted files. Editors often write a file in several steps, so changes are debounced per file.
+ *
+ * @param {string[]} paths
+ * @param {string} outputDirectory
+ * @param {ReturnType<typeof initFileFilter>} fileFilter - which files in the directories to skip or copy as-is
+ * @param {(fullPath: string, rootDirectoryFromArgument: string) => Promise<string>} callback - returns the action
+ *   taken on the page, logged as-is ("encrypted", "copied" or "unchanged")
+ * @param {(fullPath: string) => {fullPath: string, fullRootDirectory: string}[]} getAssetPages - the pages a file is
+ *   encrypted with as an asset (--encrypt-assets): the file is encrypted again with them
+ * @param {(fullPath: string) => boolean} isWithheldAsset - whether an asset is only linked from encrypted sections,
+ *   so it isn't copied
+ */
+function watchInputs(
+    paths,
+    outputDirectory,
+    fileFilter,
+    callback,
+    getAssetPages = () => [],
+    isWithheldAsset = (fullPath) => getAssetPages(fullPath).length > 0
+) {
+    const fullOutputDirectory = pathModule.resolve(outputDirectory);
+    const watchers = new Map();
+    const pendingChanges = new Map();
+
+    /**
+     * @param {string} fullPath
+     * @returns {boolean}
+     */
+    function isInOutputDirectory(fullPath) {
+        return fullPath === fullOutputDirectory || fullPath.startsWith(fullOutputDirectory + pathModule.sep);
+    }
+
+    /**
+     * @param {string} message
+     */
+    function log(message) {
+        console.log(`[${new Date().toTimeString().substring(0, 8)}] ${message}`);
+    }
+
+    /**
+     * @param {string} directory
+     * @param {string} fullRootDirectory
+     */
+    function watchDirectory(directory, fullRootDirectory) {
+        if (watchers.has(directory) || isInOutputDirectory(directory)) {
+            return;
+        }
+
+        const watcher = fs.watch(directory, (eventType, fileName) => {
+            if (!fileName) {
+                return;
+            }
+
+            const fullPath = pathModule.join(directory, fileName.toString());
+            const isDirectory = fs.existsSync(fullPath) && fs.statSync(fullPath).isDirectory();
+
+            if (!fileFilter.isExcluded(fullPath, isDirectory, fullRootDirectory)) {
+                scheduleChange(fullPath, fullRootDirectory);
+            }
+        });
+        // the directory might be deleted while we watch it, we handle that through its parent
+        watcher.on("error", () => unwatchDirectory(directory));
+        watchers.set(directory, watcher);
+
+        fs.readdirSync(directory, { withFileTypes: true })
+            .filter((entry) => entry.isDirectory())
+            .map((entry) => pathModule.join(directory, entry.name))
+            .filter((fullPath) => !fileFilter.isExcluded(fullPath, true, fullRootDirectory))
+            .forEach((fullPath) => watchDirectory(fullPath, fullRootDirectory));
+    }
+
+    /**
+     * @param {string} directory
+     */
+    function unwatchDirectory(directory) {
+        watchers.forEach((watcher, watchedDirectory) => {
+            if (watchedDirectory === directory || watchedDirectory.startsWith(directory + pathModule.sep)) {
+                watcher.close();
+                watchers.delete(watchedDirectory);
+            }
+        });
+    }
+
+    /**
+     * @param {string} fullPath
+     * @param {string} fullRootDirectory
+     */
+    function scheduleChange(fullPath, fullRootDirectory) {
+        // don't rebuild our own output, in case it's inside a watched directory
+        if (isInOutputDirectory(fullPath)) {
+            return;
+        }
+
+        clearTimeout(pendingChanges.get(fullPath));
+        pendingChanges.set(
+            fullPath,
+            setTimeout(() => {
+                pendingChanges.delete(fullPath);
+
+                // keep watching after an error, the next save might fix it
+                handleChange(fullPath, fullRootDirectory).catch((e) => {
+                    if (!(e instanceof StatiCryptError)) {
+                        throw e;
+                    }
+
+                    log(`ERROR: ${e.message}`);
+                });
+            }, WATCH_DEBOUNCE_DELAY_IN_MS)
+        );
+    }
+
+    /**
+     * @param {string} fullPath
+     * @param {string} fullRootDirectory
+     */
+    async function handleChange(fullPath, fullRootDirectory) {
+        const startTime = Date.now();
+        const displayPath = pathModule.relative(process.cwd(), fullPath);
+        const fullOutputPath = getFullOutputPath(fullPath, fullRootDirectory, outputDirectory);
+
+        if (!fs.existsSync(fullPath)) {
+            unwatchDirectory(fullPath);
+
+            // temporary files written by editors never had an output
+            if (!fs.existsSync(fullOutputPath)) {
+                return;
+            }
+
+            fs.rmSync(fullOutputPath, { recursive: true, force: true });
+            return log(`removed ${displayPath}`);
+        }
+
+        if (fs.statSync(fullPath).isDirectory()) {
+            watchDirectory(fullPath, fullRootDirectory);
+            recursivelyApplyCallbackToHtmlFiles(
+                callback,
+                fullPath,
+                outputDirectory,
+                fullRootDirectory,
+                fileFilter,
+                (filePath, fileOutputPath) => !isWithheldAsset(filePath) && copyFile(filePath, fileOutputPath)
+            );
+            return log(`updated ${displayPath}/`);
+        }
+
+        if (isPageFile(fullPath) && !fileFilter.isPassthrough(fullPath, fullRootDirectory)) {
+            const action = await callback(fullPath, fullRootDirectory);
+            return log(`${action} ${displayPath} (${Date.now() - startTime}ms)`);
+        }
+
+        const assetPages = getAssetPages(fullPath);
+        if (assetPages.length > 0) {
+            for (const page of assetPages) {
+                await callback(page.fullPath, page.fullRootDirectory);
+            }
+
+            // a page links to it from outside its encrypted sections too
+            if (!isWithheldAsset(fullPath)) {
+                copyFile(fullPath, fullOutputPath);
+            }
+            return log(`encrypted ${displayPath} (${Date.now() - startTime}ms)`);
+        }
+
+        copyFile(fullPath, fullOutputPath);
+        log(`copied ${displayPath}`);
+    }
+
+    paths.forEach((path) => {
+        const fullPath = pathModule.resolve(path);
+        const fullRootDirectory = pathModule.dirname(fullPath);
+
+        if (fs.statSync(fullPath).isDirectory()) {
+            watchDirectory(fullPath, fullRootDirectory);
+            return;
+        }
+
+        // watch the parent directory rather than the file, editors often save by replacing the file
+        const fileName = pathModule.basename(fullPath);
+        fs.watch(fullRootDirectory, (eventType, changedFileName) => {
+            if (changedFileName && changedFileName.toString() === fileName) {
+                scheduleChange(fullPath, fullRootDirectory);
+            }
+        });
+    });
+
+    log(`watching ${paths.join(", ")} for changes... (press Ctrl+C to stop)`);
+}
+exports.watchInputs = watchInputs;
+
+/**
+ * @param {string[]} argv
+ * @param {object} configOptions - the options of the config file, used when they aren't set on the command line (its
+ *  inputs, passwords and salt are read separately)
+ */
+function parseCommandLineArguments(argv = process.argv.slice(2), configOptions = {}) {
     return (
-        Yargs.usage("Usage: staticrypt <filename> [<filename> ...] [options]")
+        Yargs(argv)
+            .config(
+                Object.fromEntries(Object.entries(configOptions).filter(([key]) => !CONFIG_ONLY_KEYS.includes(key)))
+            )
+            .usage("Usage: staticrypt [watch|rotate] <filename> [<filename> ...] [options]")
+            .command("watch", "Encrypt the input files, then re-encrypt each file whenever it changes.")
+            .command(
+                "rotate",
+                "Re-encrypt files already encrypted by StatiCrypt with a new password and salt, without their sources."
+            )
             .option("c", {
                 alias: "config",
                 type: "string",
-                describe: 'Path to the config file. Set to "false" to disable.',
-                default: ".staticrypt.json",
+                describe:
+                    'Path to the config file, which can also set the other options. Set to "false" to disable it, ' +
+                    "along with the config files nested in the input directories.",
+                default: CONFIG_FILE_NAME,
+            })
+            .option("cache", {
+                type: "string",
+                describe:
+                    "Path to the build cache, used to skip files that haven't changed since the last run and keep " +
+                    'their previous output. Set to "false" to disable.',
+                default: ".staticrypt-cache.json",
             })
             .option("d", {
                 alias: "directory",
@@ -388,14 +1760,156 @@ function parseCommandLineArguments() {
                 describe: "Include this flag to decrypt files instead of encrypt.",
                 default: false,
             })
+            .option("dry-run", {
+                type: "boolean",
+                describe:
+                    "Go through the input files and list what would be encrypted, copied or kept as-is, without " +
+                    "writing anything.",
+                default: false,
+            })
+            .option("encrypt-assets", {
+                type: "boolean",
+                describe:
+                    "Also encrypt the files the encrypted sections link to with a relative src or href (images, " +
+                    "PDFs, videos...) into .enc files next to the page, instead of copying them. They're decrypted " +
+                    "in the browser when their section is opened.",
+                default: false,
+            })
+            .option("exclude", {
+                type: "string",
+                array: true,
+                nargs: 1,
+                describe:
+                    "Skip the files and directories matching this gitignore-style pattern in the input directories, " +
+                    "like a line of a .staticryptignore file. Can be repeated.",
+                default: [],
+            })
+            .option("force", {
+                type: "boolean",
+                describe: "Encrypt all the files, even the ones the build cache says are unchanged.",
+                default: false,
+            })
+            .option("include", {
+                type: "string",
+                array: true,
+                nargs: 1,
+                describe:
+                    "Only process the files matching this gitignore-style pattern in the input directories, the " +
+                    "others are skipped. Can be repeated.",
+                default: [],
+            })
+            .option("kdf", {
+                type: "string",
+                describe:
+                    "How passwords are hashed into keys: 'pbkdf2' with 600k iterations, or the memory-hard 'scrypt' " +
+                    "and 'argon2id', much harder to brute-force with GPUs but slower to unlock on low-end devices. " +
+                    "Share links and remembered passwords are hashed with the KDF of the page.",
+                choices: ["pbkdf2", "scrypt", "argon2id"],
+                default: "pbkdf2",
+            })
+            .option("kdf-params", {
+                type: "string",
+                describe:
+                    'Cost parameters of --kdf scrypt or argon2id. Default: "n=65536,r=8,p=2" for scrypt, ' +
+                    '"m=19456,t=2,p=1" for argon2id (m is the memory in KiB, t the number of passes).',
+            })
+            .option("locale", {
+                type: "string",
+                describe:
+                    "Language of the password prompts, from the catalogs in lib/locales (" +
+                    getAvailableLocales().join(", ") +
+                    "). The --template-* flags override single messages.",
+                default: LOCALE_DEFAULT,
+            })
+            .option("locale-detect", {
+                type: "boolean",
+                describe:
+                    "Include all the bundled catalogs in the page, to display the password prompts in the " +
+                    "reader's browser language. --locale is used when none match.",
+                default: false,
+            })
+            .option("markdown-layout", {
+                type: "string",
+                describe:
+                    "Path to custom HTML layout wrapping the Markdown files once rendered to HTML, with " +
+                    "markdown_title and markdown_content available as variables.",
+                default: MARKDOWN_LAYOUT_DEFAULT_PATH,
+            })
+            .option("messages", {
+                type: "string",
+                describe:
+                    "Path to a custom JSON message catalog, overriding the messages of --locale. Use it to " +
+                    "provide a locale that isn't bundled.",
+            })
+            .option("modal-template", {
+                type: "string",
+                describe:
+                    "Path to custom HTML template with the password modal and the styles of section mode pages. " +
+                    "The --template-* values are available in it.",
+                default: MODAL_TEMPLATE_DEFAULT_PATH,
+            })
+            .option("mode", {
+                type: "string",
+                describe:
+                    "What to encrypt in each HTML file: 'sections' encrypts the marked sections and copies files " +
+                    "without markers as-is, 'page' encrypts the whole file into the password template, 'auto' " +
+                    "encrypts the marked sections if there are any and the whole file otherwise.",
+                choices: ["auto", "page", "sections"],
+                default: "sections",
+            })
+            .option("new-password", {
+                type: "string",
+                describe:
+                    "The new password of the rotate command. Leave empty to be prompted for it. You can also set " +
+                    "it in the STATICRYPT_NEW_PASSWORD env variable instead, not both. The new passwords of the " +
+                    "groups are set in STATICRYPT_NEW_PASSWORD_<GROUP>.",
+                default: null,
+            })
             .option("p", {
                 alias: "password",
                 type: "string",
                 describe:
-                    "The password to encrypt your file with. Leave empty to be prompted for it. If STATICRYPT_PASSWORD" +
-                    " is set in the env, we'll use that instead.",
+                    "The password to encrypt your file with. Leave empty to be prompted for it. You can also set it " +
+                    "in STATICRYPT_PASSWORD in the env, with --password-file or with --password-stdin, but only one " +
+                    "of these.",
                 default: null,
             })
+            .option("password-file", {
+                type: "string",
+                array: true,
+                nargs: 1,
+                describe:
+                    "Read the password from a file instead, keeping it out of your shell history. Prefix the path with " +
+                    "a group name to read the password of that group: --password-file partners=secrets/partners. " +
+                    "Can be repeated.",
+                default: [],
+            })
+            .option("password-stdin", {
+                type: "boolean",
+                describe: "Read the password from stdin, like `cat secret | staticrypt ... --password-stdin`.",
+                default: false,
+            })
+            .option("passthrough", {
+                type: "string",
+                array: true,
+                nargs: 1,
+                describe:
+                    "Copy the HTML and Markdown files matching this gitignore-style pattern as-is, without looking " +
+                    "for sections to encrypt. Can be repeated.",
+                default: [],
+            })
+            .option("profile", {
+                type: "string",
+                describe:
+                    'Name of an entry of "profiles" in the config file, whose options override the other ones of ' +
+                    "the config file.",
+            })
+            .option("qr", {
+                type: "string",
+                describe:
+                    "With --share <url>, also write the share link as a QR code to this path, in SVG or PNG format " +
+                    "depending on its extension.",
+            })
             .option("r", {
                 alias: "recursive",
                 type: "boolean",
@@ -408,6 +1922,20 @@ function parseCommandLineArguments() {
                     'in localStorage when entered by the user. Set to "false" to hide the box. Default: "0", no expiration.',
                 default: 0,
             })
+            .option("report", {
+                type: "string",
+                describe:
+                    "Path to a JSON report to write, listing each file with what was done to it, its encrypted " +
+                    "sections and ciphertext size. Pages copied unencrypted are flagged.",
+            })
+            .option("runtime", {
+                type: "string",
+                describe:
+                    "How pages with encrypted sections load the decryption script: 'external' writes it once in the " +
+                    "output directory and references it from each page, 'inline' embeds it in each page.",
+                choices: ["inline", "external"],
+                default: "external",
+            })
             // do not give a default option to this parameter - we want to see when the flag is included with no
             // value and when it's not included at all
             .option("s", {
@@ -418,6 +1946,27 @@ function parseCommandLineArguments() {
                     " overwrite an existing config file.",
                 type: "string",
             })
+            .option("section-file-size", {
+                type: "number",
+                describe:
+                    "Write the encrypted sections larger than this many KB to a .enc file next to the page, fetched " +
+                    "only when the section is opened. Default: 0, every section stays in the page.",
+                default: 0,
+            })
+            .option("section-template", {
+                type: "string",
+                describe:
+                    "Path to custom HTML template with the placeholder replacing each encrypted section. Its root " +
+                    "element must have the data-staticrypt-id attribute, with section_id, section_group and " +
+                    "section_teaser available as variables.",
+                default: SECTION_TEMPLATE_DEFAULT_PATH,
+            })
+            .option("selector", {
+                type: "string",
+                describe:
+                    'Also encrypt the content of the elements matching these CSS selectors, ex: ".private, #pricing". ' +
+                    "Tag names, ids, classes and attributes are supported.",
+            })
             // do not give a default option to this parameter - we want to see when the flag is included with no
             // value and when it's not included at all
             .option("share", {
@@ -426,6 +1975,13 @@ function parseCommandLineArguments() {
                     '"#staticrypt_pwd=<hashed_pwd>", or leave empty to display the hash to append.',
                 type: "string",
             })
+            .option("share-all", {
+                type: "boolean",
+                describe:
+                    "With --share, get a link for the main password and for each password of each group, labeled " +
+                    'with the group. --qr then writes one QR code per link, ex: "qr-partners.svg".',
+                default: false,
+            })
             .option("share-remember", {
                 type: "boolean",
                 describe: "Whether the share link should auto-enable 'Remember-me'.",
@@ -436,6 +1992,13 @@ function parseCommandLineArguments() {
                 type: "boolean",
                 default: false,
             })
+            .option("strict", {
+                type: "boolean",
+                describe:
+                    "Fail on anything that looks like a marker but isn't one, like a malformed marker or a marker in a " +
+                    "<script>, instead of leaving it in the page as-is.",
+                default: false,
+            })
             .option("t", {
                 alias: "template",
                 type: "string",
@@ -444,8 +2007,7 @@ function parseCommandLineArguments() {
             })
             .option("template-button", {
                 type: "string",
-                describe: 'Label to use for the decrypt button. Default: "DECRYPT".',
-                default: "DECRYPT",
+                describe: 'Label to use for the decrypt button. Default: from the locale ("DECRYPT" in English).',
             })
             .option("template-color-primary", {
                 type: "string",
@@ -459,39 +2021,40 @@ function parseCommandLineArguments() {
             })
             .option("template-instructions", {
                 type: "string",
-                describe: "Special instructions to display to the user.",
-                default: "",
+                describe: "Special instructions to display to the user. Default: from the locale.",
             })
             .option("template-error", {
                 type: "string",
-                describe: "Error message to display on entering wrong password.",
-                default: "Bad password!",
+                describe: "Error message to display on entering wrong password. Default: from the locale.",
             })
             .option("template-placeholder", {
                 type: "string",
-                describe: "Placeholder to use for the password input.",
-                default: "Password",
+                describe: "Placeholder to use for the password input. Default: from the locale.",
             })
             .option("template-remember", {
                 type: "string",
-                describe: 'Label to use for the "Remember me" checkbox.',
-                default: "Remember me",
+                describe: 'Label to use for the "Remember me" checkbox. Default: from the locale.',
             })
             .option("template-title", {
                 type: "string",
-                describe: "Title for the output HTML page.",
-                default: "Protected Page",
+                describe: "Title for the output HTML page. Default: from the locale.",
             })
             .option("template-toggle-hide", {
                 type: "string",
-                describe: 'Alt text for toggling password visibility - "hide" action.',
-                default: "Hide password",
+                describe: 'Alt text for toggling password visibility - "hide" action. Default: from the locale.',
             })
             .option("template-toggle-show", {
                 type: "string",
-                describe: 'Alt text for toggling password visibility - "show" action.',
-                default: "Show password",
+                describe: 'Alt text for toggling password visibility - "show" action. Default: from the locale.',
             })
     );
 }
 exports.parseCommandLineArguments = parseCommandLineArguments;
+
+/**
+ * @returns {object} the default value of each CLI option, used for the options the Node API isn't given
+ */
+function getDefaultOptions() {
+    return parseCommandLineArguments([]).argv;
+}
+exports.getDefaultOptions = getDefaultOptions;
@@ -12,40 +12,78 @@ if (nodeVersion[0] < 16) {
 // parse .env file into process.env
 require("dotenv").config();
 
-const pathModule = require("path");
 const fs = require("fs");
 
-const cryptoEngine = require("../lib/cryptoEngine.js");
-const codec = require("../lib/codec.js");
-const { generateRandomSalt } = cryptoEngine;
-const { decode, encodeWithHashedPassword } = codec.init(cryptoEngine);
+const { generateRandomSalt } = require("../lib/cryptoEngine.js");
+const {
+    MissingPasswordError,
+    StatiCryptError,
+    createEncryptor,
+    createPasswordHasher,
+    decryptHtmlWithDetails,
+    findLinkedFiles,
+    generateShareLink,
+    isEncryptedHtml,
+    rotateHtmlWithDetails,
+} = require("../index.js");
 const {
     OUTPUT_DIRECTORY_DEFAULT_PATH,
-    buildStaticryptJS,
+    copyFile,
     exitWithError,
-    genFile,
     getConfig,
+    getConfigOptions,
     getFileContent,
+    getFilesHash,
+    getGroupKey,
+    getGroupNames,
+    getGroupPasswords,
+    getNewGroupPasswords,
+    getLabeledPath,
+    getNewPassword,
     getPassword,
+    getQrCodeRenderer,
+    getShareRecipients,
     getValidatedSalt,
+    initBuildCache,
+    initDirectoryConfigs,
+    initFileFilter,
+    initRunReport,
+    initSectionRuntime,
+    isMarkdownFile,
+    isPageFile,
     isOptionSetByUser,
     parseCommandLineArguments,
     recursivelyApplyCallbackToHtmlFiles,
     validatePassword,
-    writeConfig,
+    watchInputs,
+    writeConfigSalt,
     writeFile,
     getFullOutputPath,
 } = require("./helpers.js");
 
-// parse arguments
-const yargs = parseCommandLineArguments();
-const namedArgs = yargs.argv;
-
 async function runStatiCrypt() {
+    // get config file, its options apply when they aren't set on the command line
+    const commandLineArgs = parseCommandLineArguments().argv;
+    const configPath = commandLineArgs.config.toLowerCase() === "false" ? null : "./" + commandLineArgs.config;
+    const config = getConfig(configPath);
+    const configOptions = getConfigOptions(config, commandLineArgs.profile);
+
+    // parse arguments
+    const yargs = parseCommandLineArguments(process.argv.slice(2), configOptions);
+    const namedArgs = yargs.argv;
+
     const hasSaltFlag = isOptionSetByUser("s", yargs);
     const hasShareFlag = isOptionSetByUser("share", yargs);
 
-    const positionalArguments = namedArgs._;
+    if (!hasShareFlag && (namedArgs.qr !== undefined || namedArgs.shareAll)) {
+        exitWithError("--qr and --share-all only apply to --share.");
+    }
+
+    // the watch and rotate commands take the same arguments as a regular run
+    const isWatchCommand = namedArgs._[0] === "watch";
+    const isRotateCommand = namedArgs._[0] === "rotate";
+    const commandLineInputs = isWatchCommand || isRotateCommand ? namedArgs._.slice(1) : namedArgs._;
+    const positionalArguments = commandLineInputs.length > 0 ? commandLineInputs : configOptions.inputs;
 
     // require at least one positional argument unless some specific flags are passed
     if (!hasShareFlag && !(hasSaltFlag && !namedArgs.salt)) {
@@ -57,10 +95,6 @@ async function runStatiCrypt() {
         }
     }
 
-    // get config file
-    const configPath = namedArgs.config.toLowerCase() === "false" ? null : "./" + namedArgs.config;
-    const config = getConfig(configPath);
-
     // if the 's' flag is passed without parameter, generate a salt, display & exit
     if (hasSaltFlag && !namedArgs.salt) {
         const generatedSalt = generateRandomSalt();
@@ -69,31 +103,49 @@ async function runStatiCrypt() {
         console.log(generatedSalt);
 
         // write to config file if it doesn't exist
-        if (!config.salt) {
-            config.salt = generatedSalt;
-            writeConfig(configPath, config);
+        if (!configOptions.salt) {
+            writeConfigSalt(configPath, config, namedArgs.profile, generatedSalt);
         }
 
         return;
     }
 
     // get the salt & password
-    const salt = getValidatedSalt(namedArgs, config);
-    const password = await getPassword(namedArgs.password);
-    const hashedPassword = await cryptoEngine.hashPassword(password, salt);
+    const salt = getValidatedSalt(namedArgs, configOptions);
+    const password = await getPassword(namedArgs);
 
     // display the share link with the hashed password if the --share flag is set
     if (hasShareFlag) {
-        await validatePassword(password, namedArgs.short);
-
-        let url = namedArgs.share || "";
-        url += "#staticrypt_pwd=" + hashedPassword;
-
-        if (namedArgs.shareRemember) {
-            url += `&remember_me`;
+        if (namedArgs.qr !== undefined && !namedArgs.share) {
+            exitWithError("--qr needs the URL of the page to link to: --share <url> --qr <path>.");
+        }
+        const renderQrCode = namedArgs.qr === undefined ? null : getQrCodeRenderer(namedArgs.qr);
+
+        // with --share-all, one labeled link per password, and one QR code per link
+        const recipients = namedArgs.shareAll
+            ? getShareRecipients(
+                  password,
+                  getGroupPasswords(configOptions, namedArgs.passwordFile),
+                  getGroupNames(configOptions, namedArgs.passwordFile)
+              )
+            : [{ label: null, password }];
+
+        for (const recipient of recipients) {
+            await validatePassword(recipient.password, namedArgs.short);
+
+            const shareLink = await generateShareLink(namedArgs.share || "", recipient.password, {
+                salt,
+                remember: namedArgs.shareRemember,
+                kdf: namedArgs.kdf,
+                kdfParams: namedArgs.kdfParams,
+            });
+            console.log(recipient.label === null ? shareLink : `${recipient.label}: ${shareLink}`);
+
+            if (renderQrCode) {
+                const qrPath = recipient.label === null ? namedArgs.qr : getLabeledPath(namedArgs.qr, recipient.label);
+                writeFile(qrPath, renderQrCode(shareLink));
+            }
         }
-
-        console.log(url);
         return;
     }
 
@@ -105,315 +157,462 @@ async function runStatiCrypt() {
         );
     }
 
+    if (isWatchCommand && namedArgs.decrypt) {
+        exitWithError("the watch command can't be used with --decrypt.");
+    }
+
+    if (isRotateCommand && namedArgs.decrypt) {
+        exitWithError("the rotate command can't be used with --decrypt.");
+    }
+
+    if ((namedArgs.decrypt || isRotateCommand) && (namedArgs.dryRun || namedArgs.report)) {
+        exitWithError("--dry-run and --report only apply to encryption.");
+    }
+
+    if (isWatchCommand && namedArgs.dryRun) {
+        exitWithError("the watch command can't be used with --dry-run.");
+    }
+
+    // the main password unlocks full-page files and default sections, each group has its own
+    const groupPasswords = getGroupPasswords(configOptions, namedArgs.passwordFile);
+    const fileFilter = initFileFilter(namedArgs);
+    // the files of a run usually share a salt, so decrypting and rotating them hashes each password once
+    const passwordHasher = createPasswordHasher();
+
     // if asking for decryption, decrypt all the files
     if (namedArgs.decrypt) {
         const isOutputDirectoryDefault =
             namedArgs.directory === OUTPUT_DIRECTORY_DEFAULT_PATH && !isOptionSetByUser("d", yargs);
         const outputDirectory = isOutputDirectoryDefault ? "decrypted" : namedArgs.directory;
 
+        const decodings = [];
+        // the other files are copied once the pages are decrypted, but the .enc files they were decrypted from
+        const copies = [];
+        positionalArguments.forEach((path) => {
+            recursivelyApplyCallbackToHtmlFiles(
+                (fullPath, fullRootDirectory) => {
+                    decodings.push(
+                        decodeAndGenerateFile(
+                            fullPath,
+                            fullRootDirectory,
+                            password,
+                            groupPasswords,
+                            outputDirectory,
+                            passwordHasher
+                        )
+                    );
+                },
+                path,
+                outputDirectory,
+                "",
+                fileFilter,
+                (inputPath, outputPath) => copies.push({ inputPath, outputPath })
+            );
+        });
+
+        const encFiles = new Set((await Promise.all(decodings)).flat());
+        copies
+            .filter(({ inputPath }) => !encFiles.has(inputPath))
+            .forEach(({ inputPath, outputPath }) => copyFile(inputPath, outputPath));
+        return;
+    }
+
+    // if asking for a rotation, re-encrypt the encrypted files with the new passwords and a new salt
+    if (isRotateCommand) {
+        const newPassword = await getNewPassword(namedArgs.newPassword);
+        const newGroupPasswords = getNewGroupPasswords();
+
+        await validatePassword(newPassword, namedArgs.short);
+        for (const groupPassword of Object.values(newGroupPasswords)) {
+            await validatePassword(groupPassword, namedArgs.short);
+        }
+
+        // rotate the files in place, unless an output directory is set
+        const outputDirectory = isOptionSetByUser("d", yargs) ? namedArgs.directory : null;
+        const newSalt = hasSaltFlag ? salt : generateRandomSalt();
+
+        const rotations = [];
         positionalArguments.forEach((path) => {
             recursivelyApplyCallbackToHtmlFiles(
                 (fullPath, fullRootDirectory) => {
-                    decodeAndGenerateFile(fullPath, fullRootDirectory, hashedPassword, outputDirectory);
+                    const contents = getFileContent(fullPath);
+                    const outputFilepath = outputDirectory
+                        ? getFullOutputPath(fullPath, fullRootDirectory, outputDirectory)
+                        : fullPath;
+
+                    // the pages the build left in plaintext have nothing to rotate
+                    if (!isEncryptedHtml(contents)) {
+                        console.log(`WARNING: '${fullPath}' has no encrypted content, it was left as-is.`);
+                        if (outputDirectory) {
+                            copyFile(fullPath, outputFilepath);
+                        }
+                        return;
+                    }
+
+                    rotations.push(
+                        rotateHtmlWithDetails(contents, password, newPassword, {
+                            passwordHasher,
+                            passwords: groupPasswords,
+                            newPasswords: newGroupPasswords,
+                            salt: newSalt,
+                            kdf: namedArgs.kdf,
+                            kdfParams: namedArgs.kdfParams,
+                            path: fullPath,
+                            outputPath: outputFilepath,
+                        }).then(
+                            ({ html: rotatedHtml, files }) => ({ outputFilepath, rotatedHtml, files }),
+                            (e) => {
+                                throw addPathToError(e, fullPath);
+                            }
+                        )
+                    );
                 },
                 path,
-                namedArgs.directory
+                namedArgs.directory,
+                "",
+                fileFilter,
+                (fullPath, fullOutputPath) => outputDirectory && copyFile(fullPath, fullOutputPath)
             );
         });
 
+        // nothing is written before every file is rotated, so a wrong password doesn't leave the output half rotated
+        (await Promise.all(rotations)).forEach(({ outputFilepath, rotatedHtml, files }) => {
+            writeFile(outputFilepath, rotatedHtml);
+            Object.entries(files).forEach(([filePath, contents]) => writeFile(filePath, contents));
+        });
+
+        // the next builds use the new salt too, so "Remember me" keeps working across pages
+        if (configOptions.salt !== newSalt) {
+            writeConfigSalt(configPath, config, namedArgs.profile, newSalt);
+        }
         return;
     }
 
     await validatePassword(password, namedArgs.short);
+    for (const groupPassword of Object.values(groupPasswords).flat()) {
+        await validatePassword(groupPassword, namedArgs.short);
+    }
 
     // write salt to config file
-    if (config.salt !== salt) {
-        config.salt = salt;
-        writeConfig(configPath, config);
+    if (configOptions.salt !== salt && !namedArgs.dryRun) {
+        writeConfigSalt(configPath, config, namedArgs.profile, salt);
     }
 
-    const isRememberEnabled = namedArgs.remember !== "false";
-
-    const baseTemplateData = {
-        is_remember_enabled: JSON.stringify(isRememberEnabled),
-        js_staticrypt: buildStaticryptJS(),
-        template_button: namedArgs.templateButton,
-        template_color_primary: namedArgs.templateColorPrimary,
-        template_color_secondary: namedArgs.templateColorSecondary,
-        template_error: namedArgs.templateError,
-        template_instructions: namedArgs.templateInstructions,
-        template_placeholder: namedArgs.templatePlaceholder,
-        template_remember: namedArgs.templateRemember,
-        template_title: namedArgs.templateTitle,
-        template_toggle_show: namedArgs.templateToggleShow,
-        template_toggle_hide: namedArgs.templateToggleHide,
+    // the passwords are hashed once here, the watch command reuses them for every rebuild
+    const encryptor = await createEncryptor({ ...namedArgs, password, passwords: groupPasswords, salt });
+    const sectionRuntime = initSectionRuntime(
+        namedArgs.runtime,
+        namedArgs.directory,
+        encryptor.runtimeJS,
+        namedArgs.dryRun
+    );
+    const runReport = initRunReport(namedArgs.dryRun);
+
+    // any change to the passwords, templates or options invalidates the whole cache. The password itself is left out,
+    // the hashed passwords depend on it already
+    const options = Object.fromEntries(
+        Object.entries(namedArgs).filter(
+            ([name]) =>
+                ![
+                    "_",
+                    "$0",
+                    "p",
+                    "password",
+                    "password-file",
+                    "passwordFile",
+                    "password-stdin",
+                    "passwordStdin",
+                    "force",
+                    "dry-run",
+                    "dryRun",
+                    "report",
+                ].includes(name)
+        )
+    );
+    const cachePath = namedArgs.cache.toLowerCase() === "false" ? null : "./" + namedArgs.cache;
+    const buildCache = initBuildCache(cachePath, { ...encryptor.fingerprint, options });
+
+    // the pages under a nested config file get an encryptor with its options on top of the ones of the run
+    const directoryConfigs = initDirectoryConfigs(configPath);
+    const directoryEncryptors = new Map();
+    const getEncryptor = (fullPath, fullRootDirectory) => {
+        const directoryOptions = directoryConfigs.getOptions(fullPath, fullRootDirectory);
+
+        if (Object.keys(directoryOptions).length === 0) {
+            return encryptor;
+        }
+
+        const key = JSON.stringify(directoryOptions);
+        if (!directoryEncryptors.has(key)) {
+            directoryEncryptors.set(
+                key,
+                createEncryptor({ ...namedArgs, ...directoryOptions, password, passwords: groupPasswords, salt })
+            );
+        }
+
+        return directoryEncryptors.get(key);
+    };
+
+    // the pages each asset was encrypted with (--encrypt-assets), by asset path: the watch command encrypts them again
+    // with these pages when they change. The assets aren't copied, unless a page links to them from outside its
+    // encrypted sections too
+    const assetPages = new Map();
+    const publicAssetPages = new Map();
+    const recordAssets = (fullPath, fullRootDirectory, assets = {}, publicAssets = []) => {
+        assetPages.forEach((pages) => pages.delete(fullPath));
+        publicAssetPages.forEach((pages) => pages.delete(fullPath));
+
+        Object.keys(assets).forEach((assetPath) => {
+            if (!assetPages.has(assetPath)) {
+                assetPages.set(assetPath, new Map());
+            }
+            assetPages.get(assetPath).set(fullPath, fullRootDirectory);
+        });
+        publicAssets.forEach((assetPath) => {
+            if (!publicAssetPages.has(assetPath)) {
+                publicAssetPages.set(assetPath, new Set());
+            }
+            publicAssetPages.get(assetPath).add(fullPath);
+        });
+    };
+    const getAssetPages = (assetPath) =>
+        [...(assetPages.get(assetPath) || [])].map(([fullPath, fullRootDirectory]) => ({
+            fullPath,
+            fullRootDirectory,
+        }));
+    const isPublicAsset = (assetPath) => publicAssetPages.has(assetPath) && publicAssetPages.get(assetPath).size > 0;
+    const isWithheldAsset = (assetPath) => getAssetPages(assetPath).length > 0 && !isPublicAsset(assetPath);
+
+    // the assets of a page have entries of their own in the report
+    const getReportDetails = ({ assets, publicAssets, ...details }) => details;
+    const reportAssets = (assets = {}, action) => {
+        Object.entries(assets).forEach(([assetPath, assetOutputPath]) =>
+            runReport.addEntry({ input: assetPath, output: assetOutputPath, action, mode: "asset" })
+        );
+    };
+
+    // returns the action taken on the page, as in the run report: "encrypted", "copied" or "unchanged"
+    const encodeFile = async (fullPath, fullRootDirectory) => {
+        const contents = getFileContent(fullPath);
+        const outputFilepath = getFullOutputPath(fullPath, fullRootDirectory, namedArgs.directory);
+        const pageEncryptor = await getEncryptor(fullPath, fullRootDirectory);
+
+        // the cache fingerprint covers the options of the run, the page also depends on those of its directory and
+        // on the assets encrypted with it
+        const getCacheSource = (assets = {}) =>
+            (pageEncryptor === encryptor ? "" : JSON.stringify(pageEncryptor.fingerprint)) +
+            contents +
+            (Object.keys(assets).length > 0 ? getFilesHash(Object.keys(assets)) : "");
+        const previousDetails = buildCache.getDetails(outputFilepath);
+
+        // keep the previous output, so unchanged pages don't get a new ciphertext on every run
+        if (!namedArgs.force && buildCache.isUpToDate(outputFilepath, getCacheSource(previousDetails.assets))) {
+            runReport.addEntry({
+                input: fullPath,
+                output: outputFilepath,
+                ...getReportDetails(previousDetails),
+                action: "unchanged",
+            });
+            reportAssets(previousDetails.assets, "unchanged");
+            recordAssets(fullPath, fullRootDirectory, previousDetails.assets, previousDetails.publicAssets);
+            return "unchanged";
+        }
+
+        let details;
+        try {
+            const html = isMarkdownFile(fullPath) ? pageEncryptor.renderMarkdownPage(contents, fullPath) : contents;
+            const {
+                html: encryptedHtml,
+                mode,
+                sectionCountByGroup,
+                ciphertextLength,
+                files,
+                assets,
+                publicAssets,
+            } = await pageEncryptor.encryptPageWithDetails(
+                html,
+                () => sectionRuntime.getScriptTag(outputFilepath),
+                outputFilepath,
+                fullPath
+            );
+
+            // pages without marked sections are written as-is, they're flagged in the report
+            details = {
+                ...(mode
+                    ? {
+                          action: "encrypted",
+                          mode,
+                          sections: sectionCountByGroup,
+                          ciphertextLength,
+                          ...(Object.keys(assets).length > 0 && { assets }),
+                      }
+                    : { action: "copied", unencryptedPage: "no-markers" }),
+                ...(publicAssets.length > 0 && { publicAssets }),
+            };
+
+            if (!namedArgs.dryRun) {
+                writeFile(outputFilepath, encryptedHtml);
+                Object.entries(files).forEach(([filePath, contents]) => writeFile(filePath, contents));
+            }
+        } catch (e) {
+            throw addPathToError(e, fullPath);
+        }
+
+        runReport.addEntry({ input: fullPath, output: outputFilepath, ...getReportDetails(details) });
+        reportAssets(details.assets, "encrypted");
+        recordAssets(fullPath, fullRootDirectory, details.assets, details.publicAssets);
+
+        if (!namedArgs.dryRun) {
+            buildCache.update(outputFilepath, getCacheSource(details.assets), details);
+        }
+
+        return details.action;
     };
 
-    // encode all the files
+    const copyAndReportFile = (fullPath, fullOutputPath) => {
+        // the assets encrypted with the sections of a page aren't published in plaintext, unless a page links to them
+        // from outside its sections too
+        if (isWithheldAsset(fullPath)) {
+            return;
+        }
+
+        if (!namedArgs.dryRun) {
+            copyFile(fullPath, fullOutputPath);
+        }
+
+        runReport.addEntry({
+            input: fullPath,
+            output: fullOutputPath,
+            action: "copied",
+            ...(isPageFile(fullPath) && { unencryptedPage: "passthrough" }),
+        });
+    };
+
+    // encode all the files, then copy the other ones: the pages tell which of them are encrypted as assets
+    const encodings = [];
+    const copies = [];
     positionalArguments.forEach((path) => {
         recursivelyApplyCallbackToHtmlFiles(
-            (fullPath, fullRootDirectory) => {
-                encodeAndGenerateFile(
-                    fullPath,
-                    fullRootDirectory,
-                    hashedPassword,
-                    salt,
-                    baseTemplateData,
-                    isRememberEnabled,
-                    namedArgs
-                );
-            },
+            (fullPath, fullRootDirectory) => encodings.push(encodeFile(fullPath, fullRootDirectory)),
             path,
-            namedArgs.directory
+            namedArgs.directory,
+            "",
+            fileFilter,
+            (fullPath, fullOutputPath) => copies.push({ fullPath, fullOutputPath })
         );
     });
-}
 
-async function decodeAndGenerateFile(path, fullRootDirectory, hashedPassword, outputDirectory) {
-    // get the file content
-    const encryptedFileContent = getFileContent(path);
+    await Promise.all(encodings);
 
-    // extract the cipher text from the encrypted file
-    const cipherTextMatch = encryptedFileContent.match(/"staticryptEncryptedMsgUniqueVariableName":\s*"([^"]+)"/);
-    const saltMatch = encryptedFileContent.match(/"staticryptSaltUniqueVariableName":\s*"([^"]+)"/);
-
-    if (!cipherTextMatch || !saltMatch) {
-        return console.log(`ERROR: could not extract cipher text or salt from ${path}`);
+    // the pages copied as-is link to their files in plaintext too
+    if (assetPages.size > 0) {
+        copies
+            .filter(({ fullPath }) => isPageFile(fullPath))
+            .forEach(({ fullPath }) =>
+                recordAssets(fullPath, null, {}, findLinkedFiles(getFileContent(fullPath), fullPath))
+            );
     }
+    copies.forEach(({ fullPath, fullOutputPath }) => copyAndReportFile(fullPath, fullOutputPath));
 
-    // decrypt input
-    const { success, decoded } = await decode(cipherTextMatch[1], hashedPassword, saltMatch[1]);
-
-    if (!success) {
-        return console.log(`ERROR: could not decrypt ${path}`);
+    if (namedArgs.dryRun) {
+        runReport.print();
+    } else {
+        buildCache.save();
     }
 
-    const outputFilepath = getFullOutputPath(path, fullRootDirectory, outputDirectory);
+    // in watch mode, the report is about the initial build
+    if (namedArgs.report) {
+        runReport.save(namedArgs.report);
+    }
 
-    writeFile(outputFilepath, decoded);
+    if (isWatchCommand) {
+        watchInputs(
+            positionalArguments,
+            namedArgs.directory,
+            fileFilter,
+            async (fullPath, fullRootDirectory) => {
+                const action = await encodeFile(fullPath, fullRootDirectory);
+                buildCache.save();
+                return action;
+            },
+            getAssetPages,
+            isWithheldAsset
+        );
+    }
 }
 
 /**
- * Process HTML content to extract and encrypt marked sections
- * @param {string} htmlContent - The original HTML content
- * @returns {Object} { encryptedContent: string, processedHtml: string }
+ * @param {string} path
+ * @param {string} fullRootDirectory
+ * @param {string} password
+ * @param {Object<string, string[]>} groupPasswords
+ * @param {string} outputDirectory
+ * @param {ReturnType<typeof createPasswordHasher>} passwordHasher
+ * @returns {Promise<string[]>} the .enc files the page and its assets were decrypted from
  */
-function processHtmlContent(htmlContent) {
-    const encryptedSections = [];
-    let sectionId = 0;
-    
-    // Replace marked content with placeholders and collect content to encrypt
-    const processedHtml = htmlContent.replace(
-        /<!--staticrypt-start-->([\s\S]*?)<!--staticrypt-end-->/g,
-        (match, content) => {
-            const id = `staticrypt-section-${sectionId++}`;
-            encryptedSections.push({ id, content: content.trim() });
-            
-            // Return a placeholder that will be replaced with decrypted content
-            return `<div class="staticrypt-encrypted" data-staticrypt-id="${id}">
-                <div class="staticrypt-placeholder">
-                    <div class="staticrypt-password-prompt">
-                        <p>此内容受密码保护</p>
-                        <button onclick="staticrypt.showPasswordPrompt('${id}')">点击查看内容</button>
-                    </div>
-                </div>
-            </div>`;
-        }
-    );
-
-    return {
-        encryptedContent: JSON.stringify(encryptedSections),
-        processedHtml
-    };
-}
-
-async function encodeAndGenerateFile(
+async function decodeAndGenerateFile(
     path,
-    rootDirectoryFromArguments,
-    hashedPassword,
-    salt,
-    baseTemplateData,
-    isRememberEnabled,
-    namedArgs
+    fullRootDirectory,
+    password,
+    groupPasswords,
+    outputDirectory,
+    passwordHasher
 ) {
-    // Get file content
-    const contents = getFileContent(path);
+    const encryptedFileContent = getFileContent(path);
+    const outputFilepath = getFullOutputPath(path, fullRootDirectory, outputDirectory);
 
-    // Process HTML content to extract and encrypt marked sections
-    const { encryptedContent, processedHtml } = processHtmlContent(contents);
+    // a file we can't decrypt doesn't stop the others from being decrypted, but the run fails
+    try {
+        const { html, files, encFiles } = await decryptHtmlWithDetails(encryptedFileContent, password, {
+            passwords: groupPasswords,
+            path,
+            outputPath: outputFilepath,
+            passwordHasher,
+        });
 
-    // If no marked content found, just copy the file
-    if (encryptedContent === '[]') {
-        const relativePath = pathModule.relative(rootDirectoryFromArguments, path);
-        const outputFilepath = namedArgs.directory + "/" + relativePath;
-        writeFile(outputFilepath, contents);
-        return;
+        writeFile(outputFilepath, html);
+        Object.entries(files).forEach(([assetPath, content]) => writeFile(assetPath, content));
+
+        return encFiles;
+    } catch (e) {
+        if (!(e instanceof StatiCryptError)) {
+            throw e;
+        }
+
+        console.log("ERROR: " + addPathToError(e, path).message);
+        process.exitCode = 1;
+
+        return [];
     }
+}
 
-    // Encrypt the marked content
-    const encryptedMsg = await encodeWithHashedPassword(encryptedContent, hashedPassword);
+/**
+ * Tell the user which file (and line) an error comes from, and where the password of a group should be set.
+ *
+ * @param {Error} error
+ * @param {string} path
+ * @returns {Error}
+ */
+function addPathToError(error, path) {
+    if (error instanceof MissingPasswordError) {
+        error.message +=
+            ` Set it in the STATICRYPT_PASSWORD_${getGroupKey(error.group)} environment variable, with` +
+            ` --password-file ${error.group}=<path> or in the "passwords" entry of the config file.`;
+    }
 
-    let rememberDurationInDays = parseInt(namedArgs.remember);
-    rememberDurationInDays = isNaN(rememberDurationInDays) ? 0 : rememberDurationInDays;
+    if (error instanceof StatiCryptError) {
+        const location = error.line === undefined ? "" : `:${error.line}:${error.column}`;
 
-    // Inject encryption config and scripts into the HTML
-    const injectedHtml = processedHtml.replace('</head>', `
-        <script>
-            window.staticryptConfig = {
-                encryptedContent: "${encryptedMsg}",
-                salt: "${salt}",
-                isRememberEnabled: ${isRememberEnabled},
-                rememberDurationInDays: ${rememberDurationInDays}
-            };
-        </script>
-        <script src="staticrypt.js"></script>
-        <style>
-            .staticrypt-encrypted {
-                margin: 1em 0;
-            }
-            .staticrypt-placeholder {
-                background: #f5f5f5;
-                border: 1px solid #ddd;
-                border-radius: 4px;
-                padding: 20px;
-                text-align: center;
-            }
-            .staticrypt-password-prompt {
-                display: flex;
-                flex-direction: column;
-                align-items: center;
-                gap: 10px;
-            }
-            .staticrypt-password-prompt button {
-                background: #4CAF50;
-                color: white;
-                border: none;
-                padding: 8px 16px;
-                border-radius: 4px;
-                cursor: pointer;
-                font-size: 14px;
-            }
-            .staticrypt-password-prompt button:hover {
-                filter: brightness(92%);
-            }
-            .staticrypt-modal {
-                display: none;
-                position: fixed;
-                top: 0;
-                left: 0;
-                width: 100%;
-                height: 100%;
-                background: rgba(0, 0, 0, 0.5);
-                z-index: 1000;
-            }
-            .staticrypt-modal-content {
-                position: relative;
-                background: white;
-                margin: 15% auto;
-                padding: 20px;
-                width: 80%;
-                max-width: 500px;
-                border-radius: 4px;
-                box-shadow: 0 2px 10px rgba(0, 0, 0, 0.1);
-            }
-            .staticrypt-modal-close {
-                position: absolute;
-                right: 10px;
-                top: 10px;
-                font-size: 20px;
-                cursor: pointer;
-                color: #666;
-            }
-            .staticrypt-form {
-                padding: 20px;
-            }
-            .staticrypt-instructions {
-                margin-bottom: 20px;
-                text-align: center;
-            }
-            .staticrypt-title {
-                font-size: 1.5em;
-                margin-bottom: 10px;
-            }
-            .staticrypt-password-container {
-                position: relative;
-                margin-bottom: 15px;
-            }
-            .staticrypt-password-container input {
-                width: 100%;
-                padding: 10px;
-                border: 1px solid #ddd;
-                border-radius: 4px;
-                font-size: 14px;
-            }
-            .staticrypt-remember {
-                display: flex;
-                align-items: center;
-                margin-bottom: 15px;
-                justify-content: center;
-            }
-            .staticrypt-remember input {
-                margin-right: 8px;
-            }
-            .staticrypt-decrypt-button {
-                background: #4CAF50;
-                color: white;
-                border: none;
-                padding: 10px 20px;
-                border-radius: 4px;
-                cursor: pointer;
-                font-size: 14px;
-                width: 100%;
-            }
-            .staticrypt-decrypt-button:hover {
-                filter: brightness(92%);
-            }
-        </style>
-    </head>`);
-
-    // Add password modal
-    const modalHtml = `
-        <div id="staticrypt-modal" class="staticrypt-modal">
-            <div class="staticrypt-modal-content">
-                <span class="staticrypt-modal-close">&times;</span>
-                <div class="staticrypt-form">
-                    <div class="staticrypt-instructions">
-                        <p class="staticrypt-title">密码保护</p>
-                        <p>请输入密码以查看受保护的内容</p>
-                    </div>
-                    <form id="staticrypt-modal-form" action="#" method="post">
-                        <div class="staticrypt-password-container">
-                            <input
-                                id="staticrypt-modal-password"
-                                type="password"
-                                name="password"
-                                placeholder="请输入密码"
-                                autofocus
-                            />
-                            <img
-                                class="staticrypt-toggle-password-visibility"
-                                alt="显示密码"
-                                title="显示密码"
-                                src="data:image/svg+xml;base64,PHN2ZyB4bWxucz0iaHR0cDovL3d3dy53My5vcmcvMjAwMC9zdmciIHZpZXdCb3g9IjAgMCA2NDAgNTEyIj48IS0tIUZvbnQgQXdlc29tZSBGcmVlIDYuNS4yIGJ5IEBmb250YXdlc29tZSAtIGh0dHBzOi8vZm9udGF3ZXNvbWUuY29tIExpY2Vuc2UgLSBodHRwczovL2ZvbnRhd2Vzb21lLmNvbS9saWNlbnNlL2ZyZWUgQ29weXJpZ2h0IDIwMjQgRm9udGljb25zLCBJbmMuLS0+PHBhdGggZD0iTTM4LjggNS4xQzI4LjQtMy4xIDEzLjMtMS4yIDUuMSA5LjJTLTEuMiAzNC43IDkuMiA0Mi45bDU5MiA0NjRjMTAuNCA4LjIgMjUuNSA2LjMgMzMuNy00LjFzNi4zLTI1LjUtNC4xLTMzLjdMNTI1LjYgMzg2LjdjMzkuNi00MC42IDY2LjQtODYuMSA3OS45LTExOC40YzMuMy03LjkgMy4zLTE2LjcgMC0yNC42Yy0xNC45LTM1LjctNDYuMi04Ny43LTkzLTEzMS4xQzQ2NS41IDY4LjggNDAwLjggMzIgMzIwIDMyYy02OC4yIDAtMTI1IDI2LjMtMTY5LjMgNjAuOEwzOC44IDUuMXpNMjIzLjEgMTQ5LjVDMjQ4LjYgMTI2LjIgMjgyLjcgMTEyIDMyMCAxMTJjNzkuNSAwIDE0NCA2NC41IDE0NCAxNDRjMCAyNC45LTYuMyA0OC4zLTE3LjQgNjguN0w0MDggMjk0LjVjOC40LTE5LjMgMTAuNi00MS40IDQuOC02My4zYy0xMS4xLTQxLjUtNDcuOC02OS40LTg4LjYtNzEuMWMtNS44LS4yLTkuMiA2LjEtNy40IDExLjdjMi4xIDYuNCAzLjMgMTMuMiAzLjMgMjAuM2MwIDEwLjItMi40IDE5LjgtNi42IDI4LjNsLTkwLjMtNzAuOHpNMzczIDM4OS45Yy0xNi40IDYuNS0zNC4zIDEwLjEtNTMgMTAuMWMtNzkuNSAwLTE0NC02NC41LTE0NC0xNDRjMC02LjkgLjUtMTMuNiAxLjQtMjAuMkw4My4xIDE2MS41QzYwLjMgMTkxLjIgNDQgMjIwLjggMzQuNSAyNDMuN2MtMy4zIDcuOS0zLjMgMTYuNyAwIDI0LjZjMTQuOSAzNS43IDQ2LjIgODcuNyA5MyAxMzEuMUMxNzQuNSA0NDMuMiAyMzkuMiA0ODAgMzIwIDQ4MGM0Ny44IDAgODkuOS0xMi45IDEyNi4yLTMyLjVMMzczIDM4OS45eiIvPjwvc3ZnPg=="
-                            />
-                        </div>
-                        <label class="staticrypt-remember">
-                            <input id="staticrypt-modal-remember" type="checkbox" name="remember" />
-                            记住密码
-                        </label>
-                        <input type="submit" class="staticrypt-decrypt-button" value="解密" />
-                    </form>
-                </div>
-            </div>
-        </div>
-    `;
-
-    const finalHtml = injectedHtml.replace('</body>', `${modalHtml}</body>`);
-
-    // Write the processed file
-    const relativePath = pathModule.relative(rootDirectoryFromArguments, path);
-    const outputFilepath = namedArgs.directory + "/" + relativePath;
-    writeFile(outputFilepath, finalHtml);
+        error.message = `'${path}${location}': ${error.message}`;
+    }
+
+    return error;
 }
 
-runStatiCrypt();
+runStatiCrypt().catch((e) => {
+    if (!(e instanceof StatiCryptError)) {
+        throw e;
+    }
+
+    exitWithError(e.message);
+});
@@ -0,0 +1,1680 @@
+"use strict";
+
+const fs = require("fs");
+const pathModule = require("path");
+
+const cryptoEngine = require("./lib/cryptoEngine.js");
+const codec = require("./lib/codec.js");
+const { renderTemplate } = require("./lib/formater.js");
+const {
+    findAttributes,
+    findElements,
+    getLocation,
+    matchesSelectors,
+    parseSelectors,
+    tokenize,
+} = require("./lib/html.js");
+const { escapeHtml, renderMarkdown, stripTags } = require("./lib/markdown.js");
+const {
+    DecryptionError,
+    InvalidInputError,
+    InvalidOptionError,
+    MissingPasswordError,
+    StatiCryptError,
+} = require("./lib/errors.js");
+const {
+    decode,
+    decodeBytesWithContentKey,
+    decodeContentKey,
+    decodeWithContentKey,
+    encodeBytesWithContentKey,
+    encodeContentKey,
+    encodeWithContentKey,
+    encodeWithHashedPasswords,
+    getPayloadParameters,
+} = codec.init(cryptoEngine);
+const {
+    DEFAULT_GROUP,
+    buildSectionRuntimeJS,
+    copyFile,
+    buildStaticryptJS,
+    getDefaultOptions,
+    getFileContent,
+    getFullOutputPath,
+    getGroupKey,
+    getLocaleCatalogs,
+    getMessages,
+    getMessagesTemplateData,
+    getOptionChoices,
+    initFileFilter,
+    initSectionRuntime,
+    isMarkdownFile,
+    isPageFile,
+    readFile,
+    recursivelyApplyCallbackToHtmlFiles,
+    validateSalt,
+    writeFile,
+} = require("./cli/helpers.js");
+
+const SECTION_END_MARKER = "<!--staticrypt-end-->";
+const INJECTED_START_MARKER = "<!--staticrypt-injected-->";
+const INJECTED_END_MARKER = "<!--/staticrypt-injected-->";
+const INJECTED_BLOCK_REGEX = new RegExp(`${INJECTED_START_MARKER}[\\s\\S]*?${INJECTED_END_MARKER}`, "g");
+const SECTION_CONFIG_REGEX = /window\.staticryptConfig = (\{.*\});/;
+// section pages encrypted before the injected blocks were delimited have their config in a multi-line object literal,
+// with a single payload for all the sections, and their styles and modal injected as-is
+const LEGACY_SECTION_CONFIG_REGEX = /window\.staticryptConfig = \{\s*encryptedContent: "([^"]+)",\s*salt: "([^"]+)",/;
+const LEGACY_INJECTED_HEAD_REGEX =
+    /\n {8}<script>\n {12}window\.staticryptConfig = \{[\s\S]*?<\/style>\n {4}(?=<\/head>)/;
+const LEGACY_INJECTED_MODAL_REGEX =
+    /\n {8}<div id="staticrypt-modal" class="staticrypt-modal">[\s\S]*?\n {4}(?=<\/body>)/;
+const PAGE_CONFIG_REGEX = /\{"staticryptEncryptedMsgUniqueVariableName":.*\}(?=;)/;
+const START_MARKER_CONTENT_REGEX = /^staticrypt-start((?:\s+[\w-]+="[^"]*")*)\s*$/;
+const END_MARKER_CONTENT = "staticrypt-end";
+const MARKER_FRAGMENT_REGEX = /staticrypt-(?:start|end)/g;
+const SECTION_ELEMENT_NAME = "staticrypt-section";
+const SECTION_ATTRIBUTE = "data-staticrypt";
+const SECTION_TEASER_ATTRIBUTE = "data-staticrypt-teaser";
+// with the encryptAssets option, the files these attributes link to from the sections are encrypted too
+const ASSET_ATTRIBUTES = ["src", "href"];
+// the type of the blob: URLs the runtime makes of the decrypted assets, by extension
+const ASSET_TYPES = {
+    ".avif": "image/avif",
+    ".gif": "image/gif",
+    ".jpeg": "image/jpeg",
+    ".jpg": "image/jpeg",
+    ".m4a": "audio/mp4",
+    ".mp3": "audio/mpeg",
+    ".mp4": "video/mp4",
+    ".ogg": "audio/ogg",
+    ".pdf": "application/pdf",
+    ".png": "image/png",
+    ".svg": "image/svg+xml",
+    ".txt": "text/plain",
+    ".vtt": "text/vtt",
+    ".wav": "audio/wav",
+    ".webm": "video/webm",
+    ".webp": "image/webp",
+};
+const DEFAULT_ASSET_TYPE = "application/octet-stream";
+
+/**
+ * @typedef {{
+ *  html: string,
+ *  mode: "sections"|"page"|null,
+ *  sectionCountByGroup: Object<string, number>,
+ *  ciphertextLength: number,
+ *  files: Object<string, string|Uint8Array>,
+ *  assets: Object<string, string>,
+ *  publicAssets: string[],
+ * }} PageEncryption - the encrypted page, with how it was encrypted (a null mode means it was left as-is), the
+ * number of encrypted sections in each group, the files to write along with the page by path, the path of the .enc
+ * file of each asset encrypted with the sections, by source path, and the files the page links to from outside its
+ * encrypted sections, which are published as-is even if a section has them encrypted too
+ */
+
+/**
+ * @typedef {{
+ *  key: string,
+ *  sections: Object<string, string|{src: string}>,
+ * }} EncryptedGroup - the sections of an access group in the config of a section mode page: the key payload wrapping
+ * the content key of the group for each of its passwords, and the ciphertext of each section by id, or the .enc file
+ * it's in
+ */
+
+/**
+ * Prepare the encryption of pages: the passwords are hashed and the templates and messages are loaded once, so this is
+ * the way to go to encrypt many pages with the same options.
+ *
+ * @param {object} options - the CLI options in camelCase (mode, remember, locale, template, templateTitle...), and:
+ *  - password: the main password, unlocking full pages and the sections marked without a group
+ *  - passwords: the password of each access group, by group name. A group can have a list of passwords that each
+ *    unlock it, and the "default" group adds passwords to the main one
+ *  - salt: 32 hexadecimal characters, a random salt is generated if it's not set
+ *  - kdf: "pbkdf2" (default), "scrypt" or "argon2id", how passwords are hashed into keys
+ *  - kdfParams: the cost parameters of scrypt or argon2id, ex: "n=65536,r=8,p=2" or {m: 19456, t: 2, p: 1}
+ *  - sectionFileSize: in KB, the sections encrypting to more than this are written to a .enc file next to the page
+ *    and fetched when they're opened. 0 (the default) keeps every section in the page
+ *  - encryptAssets: encrypt the files that the sections link to with a relative src or href, like images and PDFs,
+ *    into .enc files next to the page. They're decrypted into blob: URLs when their section is opened
+ * @returns {Promise<{
+ *  options: object,
+ *  salt: string,
+ *  runtimeJS: string,
+ *  fingerprint: object,
+ *  encryptPage: (html: string, getRuntimeScriptTag?: () => string) => Promise<string>,
+ *  encryptPageWithDetails: (
+ *      html: string,
+ *      getRuntimeScriptTag?: () => string,
+ *      outputPath?: string,
+ *      inputPath?: string
+ *  ) => Promise<PageEncryption>,
+ * }>}
+ */
+async function createEncryptor(options) {
+    const exports = {};
+
+    options = { ...getDefaultOptions(), ...options };
+
+    if (typeof options.password !== "string" || options.password === "") {
+        throw new InvalidOptionError("a password is required.");
+    }
+
+    // the CLI checks these through its option choices, the options passed to the API are checked here
+    ["mode", "runtime"].forEach((optionName) => {
+        const choices = getOptionChoices(optionName);
+        const value = options[optionName];
+
+        if (!choices.includes(value)) {
+            const expected = choices.map((choice) => `"${choice}"`).join(", ");
+
+            throw new InvalidOptionError(`"${optionName}" should be one of ${expected}, got "${value}".`);
+        }
+    });
+
+    const salt = options.salt ? validateSalt(String(options.salt).toLowerCase()) : cryptoEngine.generateRandomSalt();
+    const kdfParameters = getKdfParameters(options);
+    const hashPasswordWithSalt = createPasswordHasher();
+
+    // sections marked without a group use the main password
+    const hashedPasswords = {};
+    for (const [groupKey, passwords] of Object.entries(getPasswordsByGroupKey(options.password, options.passwords))) {
+        hashedPasswords[groupKey] = await Promise.all(
+            passwords.map((password) => hashPasswordWithSalt(password, salt, kdfParameters))
+        );
+    }
+
+    const isRememberEnabled = String(options.remember) !== "false";
+    const rememberDurationInDays = parseInt(options.remember) || 0;
+
+    const messages = getMessages(options);
+    const baseTemplateData = {
+        is_remember_enabled: JSON.stringify(isRememberEnabled),
+        js_staticrypt: buildStaticryptJS(),
+        template_color_primary: options.templateColorPrimary,
+        template_color_secondary: options.templateColorSecondary,
+        ...getMessagesTemplateData(messages),
+    };
+
+    // the messages the runtime needs, and all the catalogs if the browser should pick the locale
+    const localeConfig = options.localeDetect
+        ? { messages, localeCatalogs: getLocaleCatalogs(options.locale, messages) }
+        : { messages };
+
+    const templates = {
+        page: readFile(options.template, "template"),
+        section: readFile(options.sectionTemplate, "section template"),
+        modal: readFile(options.modalTemplate, "modal template"),
+        markdownLayout: readFile(options.markdownLayout, "Markdown layout"),
+    };
+
+    // the runtime and decryptHtml find the placeholders through this attribute
+    if (!/data-staticrypt-id="\/\*\[\|\s*section_id\s*\|]\*\/\s*0"/.test(templates.section)) {
+        throw new InvalidOptionError(
+            `the section template should have a data-staticrypt-id="/*[|section_id|]*/0" attribute.`
+        );
+    }
+
+    const selectors = options.selector ? parseSelectors(options.selector) : [];
+    const runtimeJS = buildSectionRuntimeJS();
+
+    /**
+     * Encrypt the whole page with the main passwords into the password template.
+     *
+     * @param {string} html
+     * @param {string[]} [publicAssets] - the files the page links to
+     * @returns {Promise<PageEncryption>}
+     */
+    async function encryptFullPage(html, publicAssets = []) {
+        const encryptedMsg = await encodeWithHashedPasswords(
+            html,
+            hashedPasswords[getGroupKey(DEFAULT_GROUP)],
+            salt,
+            kdfParameters
+        );
+
+        // the messages are already in the template, the page only needs the catalogs to detect the locale
+        const staticryptConfig = {
+            staticryptEncryptedMsgUniqueVariableName: encryptedMsg,
+            isRememberEnabled,
+            rememberDurationInDays,
+            staticryptSaltUniqueVariableName: salt,
+            ...(localeConfig.localeCatalogs && { localeCatalogs: localeConfig.localeCatalogs }),
+        };
+
+        return {
+            html: renderTemplate(templates.page, {
+                ...baseTemplateData,
+                staticrypt_config: staticryptConfig,
+            }),
+            mode: "page",
+            sectionCountByGroup: {},
+            ciphertextLength: encryptedMsg.length,
+            files: {},
+            assets: {},
+            publicAssets,
+        };
+    }
+
+    /**
+     * Encrypt a page according to the mode: its marked sections, or the whole page. Pages without marked sections are
+     * returned as-is in sections mode.
+     *
+     * @param {string} html
+     * @param {() => string} getRuntimeScriptTag - the <script> tag loading the section runtime, inlined by default
+     * @returns {Promise<string>}
+     */
+    async function encryptPage(html, getRuntimeScriptTag) {
+        return (await encryptPageWithDetails(html, getRuntimeScriptTag)).html;
+    }
+
+    /**
+     * Encrypt a page like encryptPage, and tell what was encrypted in it.
+     *
+     * @param {string} html
+     * @param {() => string} getRuntimeScriptTag - the <script> tag loading the section runtime, inlined by default
+     * @param {string} [outputPath] - where the page will be written, the sections over the sectionFileSize option
+     *   and the encrypted assets are written next to it. Without it, every section stays in the page
+     * @param {string} [inputPath] - where the page was read from, the assets are found relative to it. Without it, or
+     *   without the encryptAssets option, the links of the sections are left as-is
+     * @returns {Promise<PageEncryption>}
+     */
+    async function encryptPageWithDetails(
+        html,
+        getRuntimeScriptTag = () => `<script>\n${runtimeJS}\n</script>`,
+        outputPath = null,
+        inputPath = null
+    ) {
+        validateHtml(html);
+
+        // the files linked from outside the sections are published as-is, and so are those of a whole page, which
+        // links to them in plaintext once decrypted
+        const findPublicAssets = (publicHtml) =>
+            options.encryptAssets && inputPath ? findLinkedFiles(publicHtml, inputPath) : [];
+
+        if (options.mode === "page") {
+            return encryptFullPage(html, findPublicAssets(html));
+        }
+
+        // Process HTML content to extract and encrypt marked sections
+        const { sectionsByGroup, processedHtml } = processHtmlContent(
+            html,
+            templates.section,
+            baseTemplateData,
+            selectors,
+            options.strict
+        );
+        const hasSections = Object.keys(sectionsByGroup).length > 0;
+
+        // In auto mode, encrypt the whole page when there is no marked content
+        if (options.mode === "auto" && !hasSections) {
+            return encryptFullPage(html, findPublicAssets(html));
+        }
+
+        if (!hasSections) {
+            return {
+                html,
+                mode: null,
+                sectionCountByGroup: {},
+                ciphertextLength: 0,
+                files: {},
+                assets: {},
+                publicAssets: findPublicAssets(html),
+            };
+        }
+
+        // point the links to the assets at the .enc files they're encrypted to, before encrypting the sections
+        const assetPathsByGroup =
+            options.encryptAssets && outputPath && inputPath
+                ? extractSectionAssets(sectionsByGroup, inputPath, outputPath)
+                : {};
+
+        // Encrypt the marked content
+        const { encryptedGroups, encryptedAssets } = await encryptSectionsByGroup(
+            sectionsByGroup,
+            hashedPasswords,
+            salt,
+            kdfParameters,
+            assetPathsByGroup
+        );
+        const ciphertextLength = Object.values(encryptedGroups)
+            .flatMap(({ key, sections }) => [key, ...Object.values(sections)])
+            .join("").length;
+        const files = outputPath ? moveLargeSectionsToFiles(encryptedGroups, outputPath) : {};
+
+        const assets = {};
+        for (const [group, assetPaths] of Object.entries(assetPathsByGroup)) {
+            for (const [fileName, assetPath] of Object.entries(assetPaths)) {
+                const assetOutputPath = pathModule.join(pathModule.dirname(outputPath), fileName);
+
+                files[assetOutputPath] = encryptedAssets[group][fileName];
+                assets[assetPath] = assetOutputPath;
+            }
+        }
+
+        const staticryptConfig = {
+            encryptedGroups,
+            salt,
+            isRememberEnabled,
+            rememberDurationInDays,
+            ...localeConfig,
+        };
+
+        // Inject encryption config and scripts into the HTML. The config stays on a single line and the injected
+        // blocks are delimited, so decryptHtml can find them and restore the original file byte-for-byte
+        const injectedHtml = processedHtml.replace(
+            "</head>",
+            () => `${INJECTED_START_MARKER}
+        <script>
+            window.staticryptConfig = ${JSON.stringify(staticryptConfig)};
+        </script>
+        ${getRuntimeScriptTag()}
+    ${INJECTED_END_MARKER}</head>`
+        );
+
+        // Add the password modal and its styles at the start of the body, so the placeholders are styled right away
+        const modalHtml = renderTemplate(templates.modal, baseTemplateData).trim();
+
+        return {
+            html: injectedHtml.replace(
+                /<body[^>]*>/,
+                (bodyTag) => `${bodyTag}${INJECTED_START_MARKER}\n${modalHtml}\n${INJECTED_END_MARKER}`
+            ),
+            mode: "sections",
+            sectionCountByGroup: Object.fromEntries(
+                Object.entries(sectionsByGroup).map(([group, sections]) => [group, sections.length])
+            ),
+            ciphertextLength,
+            files,
+            assets,
+            publicAssets: findPublicAssets(processedHtml),
+        };
+    }
+
+    /**
+     * Replace the ciphertext of the sections larger than the sectionFileSize option with the name of a .enc file next
+     * to the page, that the runtime fetches when the section is opened.
+     *
+     * @param {Object<string, {key: string, sections: Object<string, string|{src: string}>}>} encryptedGroups
+     * @param {string} outputPath - of the page
+     * @returns {Object<string, string>} the ciphertext of the moved sections, by path
+     */
+    function moveLargeSectionsToFiles(encryptedGroups, outputPath) {
+        const files = {};
+        const maxSectionLength = Number(options.sectionFileSize) * 1024;
+
+        if (!(maxSectionLength > 0)) {
+            return files;
+        }
+
+        const pageName = pathModule.basename(outputPath, pathModule.extname(outputPath));
+
+        for (const { sections } of Object.values(encryptedGroups)) {
+            for (const [id, encryptedSection] of Object.entries(sections)) {
+                if (encryptedSection.length > maxSectionLength) {
+                    const fileName = `${pageName}.${id}.enc`;
+
+                    files[pathModule.join(pathModule.dirname(outputPath), fileName)] = encryptedSection;
+                    sections[id] = { src: fileName };
+                }
+            }
+        }
+
+        return files;
+    }
+
+    /**
+     * Render a Markdown file to an HTML page with the Markdown layout. The page is titled after its first heading, or
+     * the file name if it has none.
+     *
+     * @param {string} markdown
+     * @param {string} path
+     * @returns {string}
+     */
+    function renderMarkdownPage(markdown, path) {
+        const content = renderMarkdown(markdown);
+        const headingMatch = content.match(/<h1>([\s\S]*?)<\/h1>/);
+
+        return renderTemplate(templates.markdownLayout, {
+            ...baseTemplateData,
+            markdown_title: headingMatch
+                ? stripTags(headingMatch[1])
+                : escapeHtml(pathModule.basename(path, pathModule.extname(path))),
+            markdown_content: content,
+        });
+    }
+
+    exports.options = options;
+    exports.salt = salt;
+    exports.runtimeJS = runtimeJS;
+    // everything besides the page itself that the output depends on
+    exports.fingerprint = { hashedPasswords, salt, baseTemplateData, localeConfig, templates, runtimeJS };
+    exports.encryptPage = encryptPage;
+    exports.encryptPageWithDetails = encryptPageWithDetails;
+    exports.renderMarkdownPage = renderMarkdownPage;
+
+    return exports;
+}
+exports.createEncryptor = createEncryptor;
+
+/**
+ * Encrypt an HTML page. The section runtime is inlined in the page.
+ *
+ * @param {string} html
+ * @param {object} options - see createEncryptor
+ * @returns {Promise<string>}
+ */
+async function encryptHtml(html, options) {
+    const encryptor = await createEncryptor(options);
+
+    return encryptor.encryptPage(html);
+}
+exports.encryptHtml = encryptHtml;
+
+/**
+ * Encrypt the HTML and Markdown files of a directory and its subdirectories, and copy the other files as-is - except,
+ * with the encryptAssets option, the ones encrypted along with the sections linking to them that no unencrypted markup
+ * links to. Markdown files are rendered to HTML pages with the Markdown layout. The include, exclude and passthrough
+ * options and the .staticryptignore files apply like in the CLI. With the "external" runtime (the default), the
+ * section runtime is written once at the root of the output directory.
+ *
+ * @param {string} inputDirectory
+ * @param {string} outputDirectory
+ * @param {object} options - see createEncryptor
+ * @returns {Promise<string[]>} the paths of the HTML files written
+ */
+async function encryptDirectory(inputDirectory, outputDirectory, options) {
+    if (typeof inputDirectory !== "string" || !fs.existsSync(inputDirectory)) {
+        throw new InvalidOptionError(`the input directory "${inputDirectory}" doesn't exist.`);
+    }
+
+    const encryptor = await createEncryptor(options);
+    const sectionRuntime = initSectionRuntime(encryptor.options.runtime, outputDirectory, encryptor.runtimeJS);
+
+    const encryptions = [];
+    const encryptedAssetPaths = new Set();
+    const publicAssetPaths = new Set();
+    const copies = [];
+    recursivelyApplyCallbackToHtmlFiles(
+        (fullPath, fullRootDirectory) => {
+            const outputFilepath = getFullOutputPath(fullPath, fullRootDirectory, outputDirectory);
+            const contents = getFileContent(fullPath);
+            const html = isMarkdownFile(fullPath) ? encryptor.renderMarkdownPage(contents, fullPath) : contents;
+
+            encryptions.push(
+                encryptor
+                    .encryptPageWithDetails(
+                        html,
+                        () => sectionRuntime.getScriptTag(outputFilepath),
+                        outputFilepath,
+                        fullPath
+                    )
+                    .then(({ html: encryptedHtml, files, assets, publicAssets }) => {
+                        writeFile(outputFilepath, encryptedHtml);
+                        Object.entries(files).forEach(([filePath, contents]) => writeFile(filePath, contents));
+                        Object.keys(assets).forEach((assetPath) => encryptedAssetPaths.add(assetPath));
+                        publicAssets.forEach((assetPath) => publicAssetPaths.add(assetPath));
+                        return outputFilepath;
+                    })
+            );
+        },
+        inputDirectory,
+        outputDirectory,
+        pathModule.resolve(inputDirectory),
+        initFileFilter(encryptor.options),
+        (fullPath, fullOutputPath) => copies.push({ fullPath, fullOutputPath })
+    );
+
+    const outputPaths = await Promise.all(encryptions);
+
+    // the pages copied as-is link to their files in plaintext too
+    if (encryptor.options.encryptAssets) {
+        copies
+            .filter(({ fullPath }) => isPageFile(fullPath))
+            .flatMap(({ fullPath }) => findLinkedFiles(getFileContent(fullPath), fullPath))
+            .forEach((assetPath) => publicAssetPaths.add(assetPath));
+    }
+
+    // the other files are copied once the pages are encrypted, except the assets only linked from encrypted sections
+    copies
+        .filter(({ fullPath }) => !encryptedAssetPaths.has(fullPath) || publicAssetPaths.has(fullPath))
+        .forEach(({ fullPath, fullOutputPath }) => copyFile(fullPath, fullOutputPath));
+
+    return outputPaths;
+}
+exports.encryptDirectory = encryptDirectory;
+
+/**
+ * Decrypt a page encrypted with StatiCrypt back to the original HTML. Pages with encrypted sections are restored
+ * byte-for-byte, markers included.
+ *
+ * @param {string} html
+ * @param {string} password - the main password
+ * @param {{
+ *  passwords?: Object<string, string|string[]>,
+ *  path?: string,
+ *  passwordHasher?: ReturnType<typeof createPasswordHasher>,
+ * }} options - the password of each access group, by group name, the path of the page, to read the sections written
+ *  to .enc files next to it, and a hasher from createPasswordHasher to hash the passwords only once for many pages
+ * @returns {Promise<string>}
+ */
+async function decryptHtml(html, password, options = {}) {
+    return (await decryptPage(html, password, options, null)).html;
+}
+exports.decryptHtml = decryptHtml;
+
+/**
+ * Decrypt a page like decryptHtml, along with the assets encrypted with its sections (encryptAssets), which are
+ * decrypted back to the files their links point to.
+ *
+ * @param {string} html
+ * @param {string} password - the main password
+ * @param {{
+ *  passwords?: Object<string, string|string[]>,
+ *  path?: string,
+ *  outputPath?: string,
+ *  passwordHasher?: ReturnType<typeof createPasswordHasher>,
+ * }} options - see decryptHtml, and where the decrypted page will be written (its path by default)
+ * @returns {Promise<{html: string, files: Object<string, Uint8Array>, encFiles: string[]}>} the decrypted page, the
+ *  decrypted assets to write by path, and the paths of the .enc files it was decrypted from, which the decrypted page
+ *  doesn't need
+ */
+async function decryptHtmlWithDetails(html, password, options = {}) {
+    return decryptPage(html, password, options, options.outputPath || options.path || null);
+}
+exports.decryptHtmlWithDetails = decryptHtmlWithDetails;
+
+/**
+ * @param {string} html
+ * @param {string} password
+ * @param {object} options - see decryptHtml
+ * @param {string|null} assetOutputPath - where the decrypted page will be written, to decrypt its assets next to it.
+ *   Without it, the assets aren't decrypted
+ * @returns {Promise<{html: string, files: Object<string, Uint8Array>, encFiles: string[]}>}
+ */
+async function decryptPage(html, password, options, assetOutputPath) {
+    validateHtml(html);
+
+    const passwords = getPasswordsByGroupKey(password, options.passwords);
+    const hashPasswordWithSalt = options.passwordHasher || createPasswordHasher();
+
+    // section mode pages have their payload in window.staticryptConfig
+    const sectionConfigMatch = html.match(SECTION_CONFIG_REGEX);
+    if (sectionConfigMatch) {
+        return decodeSections(
+            html,
+            JSON.parse(sectionConfigMatch[1]),
+            passwords,
+            options.path,
+            hashPasswordWithSalt,
+            assetOutputPath
+        );
+    }
+
+    const legacySectionConfigMatch = html.match(LEGACY_SECTION_CONFIG_REGEX);
+    if (legacySectionConfigMatch) {
+        return decodeSections(
+            removeLegacyInjectedBlocks(html),
+            { encryptedGroups: { [DEFAULT_GROUP]: legacySectionConfigMatch[1] }, salt: legacySectionConfigMatch[2] },
+            passwords,
+            options.path,
+            hashPasswordWithSalt
+        );
+    }
+
+    // extract the cipher text from the encrypted file
+    const cipherTextMatch = html.match(/"staticryptEncryptedMsgUniqueVariableName":\s*"([^"]+)"/);
+    const saltMatch = html.match(/"staticryptSaltUniqueVariableName":\s*"([^"]+)"/);
+
+    if (!cipherTextMatch || !saltMatch) {
+        throw new InvalidInputError("could not extract cipher text or salt, is this page encrypted with StatiCrypt?");
+    }
+
+    const passwordsToTry = passwords[getGroupKey(DEFAULT_GROUP)];
+    const { success, decoded } = await decodeWithPasswords(
+        cipherTextMatch[1],
+        passwordsToTry,
+        saltMatch[1],
+        hashPasswordWithSalt
+    );
+
+    if (!success) {
+        throw new DecryptionError("could not decrypt the page, the password is wrong.");
+    }
+
+    return { html: decoded, files: {}, encFiles: [] };
+}
+
+/**
+ * Re-encrypt a page encrypted with StatiCrypt with a new salt and new passwords, without its source: each payload is
+ * decrypted with the current passwords and encrypted again. Works for section mode and full page outputs, pages without
+ * encrypted content throw an InvalidInputError.
+ *
+ * Each group of a section mode page gets a new content key, so a reader who kept the previous one can't read the
+ * rotated page: the sections and the encrypted assets are encrypted again with it, including the ones in .enc files.
+ * Those files are returned along with the page, under the same names.
+ *
+ * @param {string} html
+ * @param {string} password - the current main password
+ * @param {string} newPassword
+ * @param {{
+ *  passwords?: Object<string, string|string[]>,
+ *  newPasswords?: Object<string, string|string[]>,
+ *  salt?: string,
+ *  kdf?: string,
+ *  kdfParams?: string|Object<string, number>,
+ *  path?: string,
+ *  outputPath?: string,
+ *  passwordHasher?: ReturnType<typeof createPasswordHasher>,
+ * }} options - the current and new passwords of each access group (a group without new passwords keeps its
+ *  passwords), the new salt (random by default, use the same one for all the pages of a site), the key derivation
+ *  the passwords are hashed with from now on, as in createEncryptor, the path of the page, to read the .enc files next
+ *  to it, where the rotated page will be written (its path by default), and a hasher from createPasswordHasher to hash
+ *  the passwords only once for many pages
+ * @returns {Promise<{html: string, files: Object<string, string|Uint8Array>}>} the rotated page, and the .enc files to
+ *  write next to it by path
+ */
+async function rotateHtmlWithDetails(html, password, newPassword, options = {}) {
+    validateHtml(html);
+
+    const passwords = getPasswordsByGroupKey(password, options.passwords);
+    const newPasswords = getPasswordsByGroupKey(newPassword, {
+        ...getPasswordListsByGroupKey(options.passwords),
+        ...getPasswordListsByGroupKey(options.newPasswords),
+    });
+    const salt = options.salt ? validateSalt(String(options.salt).toLowerCase()) : cryptoEngine.generateRandomSalt();
+    const kdfParameters = getKdfParameters(options);
+    const hashPasswordWithSalt = options.passwordHasher || createPasswordHasher();
+    const outputPath = options.outputPath || options.path;
+    const files = {};
+
+    const getNewHashedPasswords = (group) =>
+        Promise.all(
+            newPasswords[getGroupKey(group)].map((groupPassword) =>
+                hashPasswordWithSalt(groupPassword, salt, kdfParameters)
+            )
+        );
+
+    const reencryptGroup = async (encryptedMsg, group, previousSalt) => {
+        const decoded = await decryptGroup(encryptedMsg, group, passwords, previousSalt, hashPasswordWithSalt);
+
+        return encodeWithHashedPasswords(decoded, await getNewHashedPasswords(group), salt, kdfParameters);
+    };
+
+    const getRotatedFilePath = (fileName) => pathModule.join(pathModule.dirname(outputPath), fileName);
+
+    const reencryptSections = async ({ key, sections }, group, previousSalt) => {
+        const contentKey = await decryptGroup(
+            key,
+            group,
+            passwords,
+            previousSalt,
+            hashPasswordWithSalt,
+            decodeContentKey
+        );
+        const newContentKey = cryptoEngine.generateRandomKey();
+        const encryptedSections = {};
+        const assetFileNames = new Set();
+
+        for (const [id, encryptedSection] of Object.entries(sections)) {
+            const result = await decodeWithContentKey(
+                readEncryptedSection(encryptedSection, id, options.path),
+                contentKey,
+                id,
+                key
+            );
+
+            if (!result.success) {
+                throw new DecryptionError(`could not decrypt section "${id}", its ciphertext has been tampered with.`);
+            }
+
+            const newEncryptedSection = await encodeWithContentKey(result.decoded, newContentKey, id);
+
+            // the sections in .enc files stay in their file
+            if (typeof encryptedSection === "string") {
+                encryptedSections[id] = newEncryptedSection;
+            } else {
+                encryptedSections[id] = encryptedSection;
+                files[getRotatedFilePath(encryptedSection.src)] = newEncryptedSection;
+            }
+
+            (JSON.parse(result.decoded).assets || []).forEach(({ file }) => assetFileNames.add(file));
+        }
+
+        for (const fileName of assetFileNames) {
+            const result = await decodeBytesWithContentKey(
+                readEncryptedAsset(fileName, options.path),
+                contentKey,
+                fileName
+            );
+
+            if (!result.success) {
+                throw new DecryptionError(`could not decrypt the asset "${fileName}", it has been tampered with.`);
+            }
+
+            files[getRotatedFilePath(fileName)] = await encodeBytesWithContentKey(
+                result.decoded,
+                newContentKey,
+                fileName
+            );
+        }
+
+        return {
+            key: await encodeContentKey(newContentKey, await getNewHashedPasswords(group), salt, kdfParameters),
+            sections: encryptedSections,
+        };
+    };
+
+    const sectionConfigMatch = html.match(SECTION_CONFIG_REGEX);
+    if (sectionConfigMatch) {
+        const staticryptConfig = JSON.parse(sectionConfigMatch[1]);
+        const encryptedGroups = {};
+
+        // pages encrypted before each section had its own ciphertext have a single payload per group
+        for (const [group, encryptedGroup] of Object.entries(staticryptConfig.encryptedGroups)) {
+            encryptedGroups[group] =
+                typeof encryptedGroup === "string"
+                    ? await reencryptGroup(encryptedGroup, group, staticryptConfig.salt)
+                    : await reencryptSections(encryptedGroup, group, staticryptConfig.salt);
+        }
+
+        const rotatedConfig = { ...staticryptConfig, encryptedGroups, salt };
+
+        return {
+            html: html.replace(
+                SECTION_CONFIG_REGEX,
+                () => `window.staticryptConfig = ${JSON.stringify(rotatedConfig)};`
+            ),
+            files,
+        };
+    }
+
+    const pageConfigMatch = html.match(PAGE_CONFIG_REGEX);
+    if (pageConfigMatch) {
+        const staticryptConfig = JSON.parse(pageConfigMatch[0]);
+        const rotatedConfig = {
+            ...staticryptConfig,
+            staticryptEncryptedMsgUniqueVariableName: await reencryptGroup(
+                staticryptConfig.staticryptEncryptedMsgUniqueVariableName,
+                DEFAULT_GROUP,
+                staticryptConfig.staticryptSaltUniqueVariableName
+            ),
+            staticryptSaltUniqueVariableName: salt,
+        };
+
+        return { html: html.replace(PAGE_CONFIG_REGEX, () => JSON.stringify(rotatedConfig)), files };
+    }
+
+    // their runtime only reads the payload format of the time, which isn't written anymore
+    if (LEGACY_SECTION_CONFIG_REGEX.test(html)) {
+        throw new InvalidInputError(
+            "this page was encrypted by the first section mode of StatiCrypt, which can't be rotated. Decrypt it and " +
+                "encrypt it again."
+        );
+    }
+
+    throw new InvalidInputError("could not find the encrypted content, is this page encrypted with StatiCrypt?");
+}
+exports.rotateHtmlWithDetails = rotateHtmlWithDetails;
+
+/**
+ * @param {string} html
+ * @returns {boolean} whether the page has content encrypted by StatiCrypt, in any of the formats decryptHtml reads
+ */
+function isEncryptedHtml(html) {
+    return [SECTION_CONFIG_REGEX, LEGACY_SECTION_CONFIG_REGEX, PAGE_CONFIG_REGEX].some((regex) => regex.test(html));
+}
+exports.isEncryptedHtml = isEncryptedHtml;
+
+/**
+ * Same as rotateHtmlWithDetails, for pages without .enc files next to them.
+ *
+ * @param {string} html
+ * @param {string} password - the current main password
+ * @param {string} newPassword
+ * @param {Object} options - see rotateHtmlWithDetails
+ * @returns {Promise<string>}
+ */
+async function rotateHtml(html, password, newPassword, options = {}) {
+    const { html: rotatedHtml, files } = await rotateHtmlWithDetails(html, password, newPassword, options);
+
+    if (Object.keys(files).length > 0) {
+        throw new InvalidInputError(
+            "the page has sections or assets in .enc files, which are encrypted again too. Use rotateHtmlWithDetails " +
+                "to get them."
+        );
+    }
+
+    return rotatedHtml;
+}
+exports.rotateHtml = rotateHtml;
+
+/**
+ * Get a link that decrypts the pages encrypted with this password and salt on load.
+ *
+ * @param {string} url - the URL of the page, can be empty to only get the hash to append
+ * @param {string} password
+ * @param {{salt: string, remember?: boolean, kdf?: string, kdfParams?: string|Object<string, number>}} options -
+ *   remember: whether to also remember the password, kdf and kdfParams: the key derivation the pages were encrypted
+ *   with
+ * @returns {Promise<string>}
+ */
+async function generateShareLink(url, password, options) {
+    if (!options || !options.salt) {
+        throw new InvalidOptionError("the salt the pages were encrypted with is required to generate a share link.");
+    }
+
+    const hashedPassword = await cryptoEngine.hashPassword(
+        password,
+        validateSalt(String(options.salt).toLowerCase()),
+        getKdfParameters(options)
+    );
+
+    return `${url}#staticrypt_pwd=${hashedPassword}` + (options.remember ? "&remember_me" : "");
+}
+exports.generateShareLink = generateShareLink;
+
+/**
+ * @param {*} html - passed to the API
+ */
+function validateHtml(html) {
+    if (typeof html !== "string") {
+        throw new InvalidInputError(`the HTML should be a string, got ${html === null ? "null" : typeof html}.`);
+    }
+}
+
+/**
+ * Create a function hashing passwords with a salt, that remembers what it hashed: pages usually share a salt, so each
+ * password is only hashed once for all of them. The passwords are kept as long as the function is, so create one per
+ * batch of pages and drop it afterwards.
+ *
+ * @returns {(password: string, salt: string, kdfParameters: Object) => Promise<string>} kdfParameters: the key
+ *   derivation function and its cost parameters
+ */
+function createPasswordHasher() {
+    const hashedPasswords = new Map();
+
+    return (password, salt, kdfParameters) => {
+        const cacheKey = JSON.stringify([password, salt, kdfParameters]);
+
+        if (!hashedPasswords.has(cacheKey)) {
+            hashedPasswords.set(cacheKey, cryptoEngine.hashPassword(password, salt, kdfParameters));
+        }
+
+        return hashedPasswords.get(cacheKey);
+    };
+}
+exports.createPasswordHasher = createPasswordHasher;
+
+/**
+ * Get the key derivation function and its cost parameters from the kdf and kdfParams options, checking the parameters
+ * are ones the function has, with values it accepts.
+ *
+ * @param {{kdf?: string, kdfParams?: string|Object<string, number>}} options - kdfParams as "name=value,..." or an
+ *   object
+ * @returns {{kdf: string} & Object<string, number>}
+ */
+function getKdfParameters(options) {
+    const kdf = options.kdf || cryptoEngine.DEFAULT_KDF;
+    const defaultParameters = cryptoEngine.KDF_DEFAULT_PARAMETERS[kdf];
+
+    if (!defaultParameters) {
+        throw new InvalidOptionError(
+            `unknown key derivation function "${kdf}", use ${Object.keys(cryptoEngine.KDF_DEFAULT_PARAMETERS).join(
+                ", "
+            )}.`
+        );
+    }
+
+    let parameters = options.kdfParams || {};
+    if (typeof parameters === "string") {
+        parameters = Object.fromEntries(
+            parameters
+                .split(",")
+                .filter((parameter) => parameter.trim() !== "")
+                .map((parameter) => parameter.split("=").map((part) => part.trim()))
+        );
+    }
+
+    if (kdf === cryptoEngine.DEFAULT_KDF && Object.keys(parameters).length > 0) {
+        throw new InvalidOptionError(
+            `the cost of ${kdf} can't be changed, the kdf parameters only apply to scrypt and argon2id.`
+        );
+    }
+
+    const kdfParameters = { kdf, ...defaultParameters };
+    Object.entries(parameters).forEach(([name, value]) => {
+        if (defaultParameters[name] === undefined) {
+            throw new InvalidOptionError(
+                `"${name}" isn't a parameter of ${kdf}, its parameters are ${Object.keys(defaultParameters).join(
+                    ", "
+                )}.`
+            );
+        }
+
+        if (!/^[1-9]\d*$/.test(String(value))) {
+            throw new InvalidOptionError(
+                `the ${kdf} parameter "${name}" should be a positive integer, got "${value}".`
+            );
+        }
+
+        kdfParameters[name] = Number(value);
+    });
+
+    // n must be a power of 2 larger than 1, and Argon2id needs 8 KiB of memory per lane
+    if (kdf === "scrypt" && (kdfParameters.n < 2 || (kdfParameters.n & (kdfParameters.n - 1)) !== 0)) {
+        throw new InvalidOptionError(`the scrypt parameter "n" should be a power of 2, got ${kdfParameters.n}.`);
+    }
+    if (kdf === "argon2id" && kdfParameters.m < 8 * kdfParameters.p) {
+        throw new InvalidOptionError(
+            `the argon2id parameter "m" should be at least 8 times "p", got m=${kdfParameters.m} and p=${kdfParameters.p}.`
+        );
+    }
+
+    return kdfParameters;
+}
+
+/**
+ * Decrypt every group of a section mode page and restore the original file: each placeholder is swapped back to its
+ * marked plaintext, and the injected config, runtime, styles and modal are removed.
+ *
+ * @param {string} encryptedFileContent
+ * @param {{encryptedGroups: Object<string, EncryptedGroup|string>, salt: string}} staticryptConfig
+ * @param {Object<string, string[]>} passwords - group key => passwords
+ * @param {string} [path] - of the page, to read the sections and assets in .enc files
+ * @param {ReturnType<typeof createPasswordHasher>} hashPasswordWithSalt
+ * @param {string|null} [assetOutputPath] - where the decrypted page will be written, to decrypt its assets next to it
+ * @returns {Promise<{html: string, files: Object<string, Uint8Array>, encFiles: string[]}>} see decryptHtmlWithDetails
+ */
+async function decodeSections(
+    encryptedFileContent,
+    staticryptConfig,
+    passwords,
+    path,
+    hashPasswordWithSalt,
+    assetOutputPath = null
+) {
+    const { encryptedGroups, salt } = staticryptConfig;
+    const files = {};
+    const encFiles = [];
+
+    let decoded = encryptedFileContent.replace(INJECTED_BLOCK_REGEX, "");
+
+    for (const [group, encryptedGroup] of Object.entries(encryptedGroups)) {
+        const { sections, contentKey } = await decryptGroupSections(
+            encryptedGroup,
+            group,
+            passwords,
+            salt,
+            path,
+            hashPasswordWithSalt
+        );
+
+        if (path && typeof encryptedGroup !== "string") {
+            Object.values(encryptedGroup.sections)
+                .filter((encryptedSection) => typeof encryptedSection !== "string")
+                .forEach(({ src }) => encFiles.push(pathModule.join(pathModule.dirname(path), src)));
+        }
+
+        // the assets go back to the files their links point to, relative to the decrypted page
+        const assets = assetOutputPath ? sections.flatMap((section) => section.assets || []) : [];
+        for (const { file, original } of assets) {
+            const encFile = pathModule.join(pathModule.dirname(path || ""), file);
+            if (encFiles.includes(encFile)) {
+                continue;
+            }
+
+            const result = await decodeBytesWithContentKey(readEncryptedAsset(file, path), contentKey, file);
+
+            if (!result.success) {
+                throw new DecryptionError(`could not decrypt the asset "${file}", it has been tampered with.`);
+            }
+
+            files[getAssetOutputPath(original, assetOutputPath)] = result.decoded;
+            encFiles.push(encFile);
+        }
+
+        for (const { id, content, startMarker, isElement, assets } of sections) {
+            const placeholderBounds = getPlaceholderBounds(decoded, id);
+
+            if (!placeholderBounds) {
+                throw new InvalidInputError(`could not find the placeholder of section "${id}".`);
+            }
+
+            // the tags of a marked element stay in the page, only its content was replaced
+            const restoredContent = restoreAssetReferences(content, assets);
+            const original = isElement
+                ? restoredContent
+                : (startMarker || getStartMarker(group)) + restoredContent + SECTION_END_MARKER;
+
+            decoded =
+                decoded.substring(0, placeholderBounds.start) + original + decoded.substring(placeholderBounds.end);
+        }
+    }
+
+    return { html: decoded, files, encFiles };
+}
+
+/**
+ * Remove the config, runtime, styles and modal injected in the section pages of the first versions of StatiCrypt. Their
+ * sections were trimmed before being encrypted, so the whitespace inside the markers isn't restored.
+ *
+ * @param {string} html
+ * @returns {string}
+ */
+function removeLegacyInjectedBlocks(html) {
+    return html.replace(LEGACY_INJECTED_HEAD_REGEX, "").replace(LEGACY_INJECTED_MODAL_REGEX, "");
+}
+
+/**
+ * @param {EncryptedGroup|string} encryptedGroup - pages encrypted before each section had its own ciphertext have a
+ *   single payload per group
+ * @param {string} group
+ * @param {Object<string, string[]>} passwords - group key => passwords
+ * @param {string} salt
+ * @param {string} [path] - of the page, to read the sections in .enc files
+ * @param {ReturnType<typeof createPasswordHasher>} hashPasswordWithSalt
+ * @returns {Promise<{
+ *  sections: {id: string, content: string, startMarker?: string, isElement?: boolean, assets?: Object[]}[],
+ *  contentKey: string|null,
+ * }>} the decrypted sections, and the content key of the group, which its assets are encrypted with
+ */
+async function decryptGroupSections(encryptedGroup, group, passwords, salt, path, hashPasswordWithSalt) {
+    if (typeof encryptedGroup === "string") {
+        return {
+            sections: JSON.parse(await decryptGroup(encryptedGroup, group, passwords, salt, hashPasswordWithSalt)),
+            contentKey: null,
+        };
+    }
+
+    const { key, sections } = encryptedGroup;
+    const contentKey = await decryptGroup(key, group, passwords, salt, hashPasswordWithSalt, decodeContentKey);
+
+    const decryptedSections = [];
+    for (const [id, encryptedSection] of Object.entries(sections)) {
+        const result = await decodeWithContentKey(
+            readEncryptedSection(encryptedSection, id, path),
+            contentKey,
+            id,
+            key
+        );
+
+        if (!result.success) {
+            throw new DecryptionError(`could not decrypt section "${id}", its ciphertext has been tampered with.`);
+        }
+
+        decryptedSections.push({ id, ...JSON.parse(result.decoded) });
+    }
+
+    return { sections: decryptedSections, contentKey };
+}
+
+/**
+ * @param {string|{src: string}} encryptedSection - the ciphertext, or the .enc file it's in
+ * @param {string} id
+ * @param {string} [path] - of the page, the .enc files are next to it
+ * @returns {string}
+ */
+function readEncryptedSection(encryptedSection, id, path) {
+    if (typeof encryptedSection === "string") {
+        return encryptedSection;
+    }
+
+    if (!path) {
+        throw new InvalidInputError(
+            `section "${id}" is in the file "${encryptedSection.src}", the path of the page is needed to read it.`
+        );
+    }
+
+    return getFileContent(pathModule.join(pathModule.dirname(path), encryptedSection.src));
+}
+
+/**
+ * @param {string} fileName - of an asset encrypted with the sections of a page
+ * @param {string} [path] - of the page, the .enc files are next to it
+ * @returns {Buffer}
+ */
+function readEncryptedAsset(fileName, path) {
+    if (!path) {
+        throw new InvalidInputError(
+            `the asset "${fileName}" is encrypted next to the page, the path of the page is needed to read it.`
+        );
+    }
+
+    const assetPath = pathModule.join(pathModule.dirname(path), fileName);
+
+    try {
+        return fs.readFileSync(assetPath);
+    } catch (e) {
+        throw new InvalidInputError(`the asset "${fileName}" is missing, it should be at "${assetPath}".`);
+    }
+}
+
+/**
+ * @param {string} encryptedMsg
+ * @param {string} group
+ * @param {Object<string, string[]>} passwords - group key => passwords
+ * @param {string} salt
+ * @param {ReturnType<typeof createPasswordHasher>} hashPasswordWithSalt
+ * @param {function(string, string, string): Promise<Object>} decodeWithHash - decode, or decodeContentKey for a key
+ *   payload
+ * @returns {Promise<string>} the decrypted payload
+ */
+async function decryptGroup(encryptedMsg, group, passwords, salt, hashPasswordWithSalt, decodeWithHash = decode) {
+    const groupPasswords = passwords[getGroupKey(group)];
+
+    if (!groupPasswords || groupPasswords.length === 0) {
+        throw new MissingPasswordError(`no password found for group "${group}".`, group);
+    }
+
+    const result = await decodeWithPasswords(encryptedMsg, groupPasswords, salt, hashPasswordWithSalt, decodeWithHash);
+
+    if (!result.success) {
+        throw new DecryptionError(`could not decrypt group "${group}", the password is wrong.`);
+    }
+
+    return result.decoded;
+}
+
+/**
+ * Try each password until one decodes the message.
+ *
+ * @param {string} encryptedMsg
+ * @param {string[]} passwords
+ * @param {string} salt
+ * @param {ReturnType<typeof createPasswordHasher>} hashPasswordWithSalt
+ * @param {function(string, string, string): Promise<Object>} decodeWithHash - decode, or decodeContentKey for a key
+ *   payload
+ * @returns {Promise<Object>} {success: true, decoded: string} | {success: false, message: string}
+ */
+async function decodeWithPasswords(encryptedMsg, passwords, salt, hashPasswordWithSalt, decodeWithHash = decode) {
+    let result = { success: false, message: "No password" };
+
+    for (const password of passwords) {
+        result = await decodeWithHash(
+            encryptedMsg,
+            await hashPasswordWithSalt(password, salt, getPayloadParameters(encryptedMsg)),
+            salt
+        );
+
+        if (result.success) {
+            break;
+        }
+    }
+
+    return result;
+}
+
+/**
+ * @param {string} password - the main password
+ * @param {Object<string, string|string[]>} groupPasswords - by group name, the passwords of the "default" group are
+ *  added to the main password
+ * @returns {Object<string, string[]>} group key => passwords
+ */
+function getPasswordsByGroupKey(password, groupPasswords = {}) {
+    const passwords = getPasswordListsByGroupKey(groupPasswords);
+    const defaultGroupKey = getGroupKey(DEFAULT_GROUP);
+
+    passwords[defaultGroupKey] = [...new Set([password, ...(passwords[defaultGroupKey] || [])])];
+
+    return passwords;
+}
+
+/**
+ * @param {Object<string, string|string[]>} groupPasswords - by group name
+ * @returns {Object<string, string[]>} group key => passwords
+ */
+function getPasswordListsByGroupKey(groupPasswords = {}) {
+    const passwords = {};
+
+    Object.entries(groupPasswords).forEach(([group, groupPassword]) => {
+        const groupPasswordList = Array.isArray(groupPassword) ? groupPassword : [groupPassword];
+
+        passwords[getGroupKey(group)] = [...new Set(groupPasswordList.map(String))];
+    });
+
+    return passwords;
+}
+
+/**
+ * Find where the placeholder element of a section starts and ends, matching its nested tags.
+ *
+ * @param {string} html
+ * @param {string} sectionId
+ * @returns {{start: number, end: number}|null}
+ */
+function getPlaceholderBounds(html, sectionId) {
+    const attributeIndex = html.indexOf(`data-staticrypt-id="${sectionId}"`);
+    if (attributeIndex === -1) {
+        return null;
+    }
+
+    const start = html.lastIndexOf("<", attributeIndex);
+    const tagName = html.substring(start).match(/^<([\w-]+)/)[1];
+
+    const tagRegex = new RegExp(`<(/?)${tagName}\\b[^>]*>`, "gi");
+    tagRegex.lastIndex = start;
+
+    let depth = 0;
+    let tagMatch;
+    while ((tagMatch = tagRegex.exec(html))) {
+        depth += tagMatch[1] ? -1 : 1;
+
+        if (depth === 0) {
+            return { start, end: tagRegex.lastIndex };
+        }
+    }
+
+    return null;
+}
+
+/**
+ * @param {string} group
+ * @returns {string}
+ */
+function getStartMarker(group) {
+    return group === DEFAULT_GROUP ? "<!--staticrypt-start-->" : `<!--staticrypt-start group="${group}"-->`;
+}
+
+/**
+ * Process HTML content to extract marked sections, grouped by access group. A section is either:
+ * - marked with <!--staticrypt-start-->...<!--staticrypt-end-->, whose start marker accepts a group="partners"
+ *   attribute to restrict it to the readers of a group, and a teaser="..." for the text shown in its placeholder
+ *   (inserted as HTML, like the rest of the page)
+ * - the content of a <staticrypt-section> element, with the same group and teaser attributes
+ * - the content of an element with a data-staticrypt attribute, or matching one of the selectors, whose group is the
+ *   value of data-staticrypt and teaser the value of data-staticrypt-teaser
+ * The tags of marked elements stay in place, with the placeholder inside. A section within another one is encrypted
+ * along with it. Markers in raw text elements like <script> and in <template> elements are left as-is, since they
+ * aren't part of the page.
+ *
+ * Unbalanced markers and unclosed marked elements are an error, rather than leaving their content in plaintext.
+ *
+ * @param {string} htmlContent - The original HTML content
+ * @param {string} sectionTemplate - template of the placeholder replacing each section
+ * @param {object} baseTemplateData
+ * @param {ReturnType<typeof parseSelectors>} selectors
+ * @param {boolean} isStrict - fail on text looking like a marker but that isn't one, instead of leaving it as-is
+ * @returns {{
+ *  sectionsByGroup: Object<string, {id: string, content: string, startMarker?: string, isElement?: boolean}[]>,
+ *  processedHtml: string,
+ * }}
+ */
+function processHtmlContent(htmlContent, sectionTemplate, baseTemplateData, selectors, isStrict) {
+    const markedParts = [];
+    const markerTokens = [];
+    const openStartMarkers = [];
+
+    const templateElements = findElements(htmlContent, (startTag) => startTag.name === "template");
+    const isInTemplate = (index) =>
+        templateElements.some(({ startTag, endTag }) => index > startTag.start && (!endTag || index < endTag.start));
+
+    tokenize(htmlContent)
+        .filter((token) => token.type === "comment" && !isInTemplate(token.start))
+        .forEach((token) => {
+            const startMarkerMatch = token.content.match(START_MARKER_CONTENT_REGEX);
+
+            if (startMarkerMatch) {
+                openStartMarkers.push({ token, markerAttributes: startMarkerMatch[1] });
+                return;
+            }
+
+            if (token.content !== END_MARKER_CONTENT) {
+                return;
+            }
+
+            const openStartMarker = openStartMarkers.pop();
+
+            if (!openStartMarker) {
+                throw new InvalidInputError(
+                    `${SECTION_END_MARKER} doesn't match any start marker.`,
+                    getLocation(htmlContent, token.start)
+                );
+            }
+
+            const startToken = openStartMarker.token;
+            markerTokens.push(startToken, token);
+            markedParts.push({
+                start: startToken.start,
+                end: token.end,
+                // keep the content and start marker as-is so decryptHtml can restore the original file
+                section: {
+                    content: htmlContent.substring(startToken.end, token.start),
+                    startMarker: htmlContent.substring(startToken.start, startToken.end),
+                },
+                attributes: parseMarkerAttributes(openStartMarker.markerAttributes),
+            });
+        });
+
+    if (openStartMarkers.length > 0) {
+        const { token } = openStartMarkers[openStartMarkers.length - 1];
+
+        throw new InvalidInputError(
+            `${htmlContent.substring(token.start, token.end)} is never closed with ${SECTION_END_MARKER}.`,
+            getLocation(htmlContent, token.start)
+        );
+    }
+
+    const isMarkedElement = (startTag) =>
+        (startTag.name === SECTION_ELEMENT_NAME ||
+            startTag.attributes[SECTION_ATTRIBUTE] !== undefined ||
+            matchesSelectors(startTag, selectors)) &&
+        !isInTemplate(startTag.start);
+
+    findElements(htmlContent, isMarkedElement).forEach(({ startTag, endTag }) => {
+        if (!endTag) {
+            throw new InvalidInputError(
+                `the marked element ${htmlContent.substring(startTag.start, startTag.end)} is never closed.`,
+                getLocation(htmlContent, startTag.start)
+            );
+        }
+
+        const { attributes } = startTag;
+        const isSectionElement = startTag.name === SECTION_ELEMENT_NAME;
+        const group = isSectionElement ? attributes.group : attributes[SECTION_ATTRIBUTE];
+
+        markedParts.push({
+            start: startTag.end,
+            end: endTag.start,
+            section: { content: htmlContent.substring(startTag.end, endTag.start), isElement: true },
+            attributes: {
+                group: group || undefined,
+                teaser: isSectionElement ? attributes.teaser : attributes[SECTION_TEASER_ATTRIBUTE],
+            },
+        });
+    });
+
+    if (isStrict) {
+        for (const fragmentMatch of htmlContent.matchAll(MARKER_FRAGMENT_REGEX)) {
+            const isInMarker = markerTokens.some(
+                ({ start, end }) => fragmentMatch.index > start && fragmentMatch.index < end
+            );
+
+            if (!isInMarker) {
+                throw new InvalidInputError(
+                    `"${fragmentMatch[0]}" isn't part of a valid marker. Markers are written like ` +
+                        `<!--staticrypt-start group="..."--> and ${SECTION_END_MARKER}, outside of <script>, ` +
+                        `<style> and <template> elements.`,
+                    getLocation(htmlContent, fragmentMatch.index)
+                );
+            }
+        }
+    }
+
+    // in document order, outer sections first
+    markedParts.sort((a, b) => a.start - b.start || b.end - a.end);
+
+    const sectionsByGroup = {};
+    let processedHtml = "";
+    let position = 0;
+    let sectionId = 0;
+
+    for (const { start, end, section, attributes } of markedParts) {
+        if (start < position) {
+            // a section within another one is encrypted along with it
+            if (end <= position) {
+                continue;
+            }
+
+            throw new InvalidInputError(
+                "a marked section overlaps another one. Sections can be nested, but a marker can't be in the " +
+                    "middle of a marked element.",
+                getLocation(htmlContent, start)
+            );
+        }
+
+        const id = `staticrypt-section-${sectionId++}`;
+        const { group = DEFAULT_GROUP, teaser } = attributes;
+
+        sectionsByGroup[group] = sectionsByGroup[group] || [];
+        sectionsByGroup[group].push({ id, ...section });
+
+        // Replace the section with a placeholder that will be replaced with decrypted content
+        const placeholder = renderTemplate(sectionTemplate, {
+            ...baseTemplateData,
+            section_id: id,
+            section_group: group,
+            section_teaser: teaser === undefined ? baseTemplateData.template_teaser : teaser,
+            // only the default teaser is translated in the browser with --locale-detect
+            section_teaser_i18n: teaser === undefined ? "teaser" : "",
+        }).trim();
+
+        processedHtml += htmlContent.substring(position, start) + placeholder;
+        position = end;
+    }
+
+    return {
+        sectionsByGroup,
+        processedHtml: processedHtml + htmlContent.substring(position),
+    };
+}
+
+/**
+ * @param {string} markerAttributes - ex: ' group="partners" teaser="Pricing"'
+ * @returns {Object<string, string>}
+ */
+function parseMarkerAttributes(markerAttributes) {
+    const attributes = {};
+
+    for (const [, name, value] of markerAttributes.matchAll(/([\w-]+)="([^"]*)"/g)) {
+        attributes[name] = value;
+    }
+
+    return attributes;
+}
+
+/**
+ * Point the links of the sections to the files next to the page, like images and PDFs, at the .enc files they'll be
+ * encrypted to: src="photo.jpg" becomes data-staticrypt-src="page.staticrypt-asset-1.enc", so the browser doesn't load
+ * anything before the runtime decrypts it. Each section lists its rewritten attributes in an "assets" entry, encrypted
+ * with it, to turn them into blob: URLs and for decryptHtml to restore them. A file linked from several groups is
+ * encrypted for each of them.
+ *
+ * @param {Object<string, {id: string, content: string}[]>} sectionsByGroup - the content of the sections is rewritten
+ * @param {string} inputPath - of the page
+ * @param {string} outputPath - of the page
+ * @returns {Object<string, Object<string, string>>} group => the path of each asset, by .enc file name
+ */
+function extractSectionAssets(sectionsByGroup, inputPath, outputPath) {
+    const pageName = pathModule.basename(outputPath, pathModule.extname(outputPath));
+    const assetPathsByGroup = {};
+    let assetCount = 0;
+
+    for (const [group, sections] of Object.entries(sectionsByGroup)) {
+        const fileNames = {};
+
+        for (const section of sections) {
+            const assets = [];
+            let content = "";
+            let lastIndex = 0;
+
+            for (const token of tokenize(section.content)) {
+                if (token.type !== "startTag") {
+                    continue;
+                }
+
+                for (const attribute of findAttributes(section.content.substring(token.start, token.end))) {
+                    const assetPath = ASSET_ATTRIBUTES.includes(attribute.name)
+                        ? getAssetPath(attribute.value, inputPath)
+                        : null;
+
+                    if (!assetPath) {
+                        continue;
+                    }
+
+                    if (!fileNames[assetPath]) {
+                        fileNames[assetPath] = `${pageName}.staticrypt-asset-${++assetCount}.enc`;
+                    }
+
+                    const start = token.start + attribute.start;
+                    const end = token.start + attribute.end;
+                    const file = fileNames[assetPath];
+
+                    content +=
+                        section.content.substring(lastIndex, start) + `data-staticrypt-${attribute.name}="${file}"`;
+                    lastIndex = end;
+
+                    assets.push({
+                        attribute: attribute.name,
+                        file,
+                        type: ASSET_TYPES[pathModule.extname(assetPath).toLowerCase()] || DEFAULT_ASSET_TYPE,
+                        original: section.content.substring(start, end),
+                    });
+                }
+            }
+
+            if (assets.length > 0) {
+                section.content = content + section.content.substring(lastIndex);
+                section.assets = assets;
+            }
+        }
+
+        if (Object.keys(fileNames).length > 0) {
+            assetPathsByGroup[group] = Object.fromEntries(
+                Object.entries(fileNames).map(([assetPath, fileName]) => [fileName, assetPath])
+            );
+        }
+    }
+
+    return assetPathsByGroup;
+}
+
+/**
+ * Find the files next to the page that its markup links to, like extractSectionAssets does in the sections.
+ *
+ * @param {string} html
+ * @param {string} inputPath - of the page
+ * @returns {string[]} the paths of the files, without duplicates
+ */
+function findLinkedFiles(html, inputPath) {
+    const linkedFiles = tokenize(html)
+        .filter((token) => token.type === "startTag")
+        .flatMap((token) => ASSET_ATTRIBUTES.map((name) => getAssetPath(token.attributes[name], inputPath)))
+        .filter((assetPath) => assetPath);
+
+    return [...new Set(linkedFiles)];
+}
+exports.findLinkedFiles = findLinkedFiles;
+
+/**
+ * @param {string} url - the value of a src or href attribute
+ * @param {string} inputPath - of the page
+ * @returns {string|null} the path of the file the URL links to, if it's a file next to the page that isn't a page
+ */
+function getAssetPath(url, inputPath) {
+    // links to other sites, data: URLs, anchors and absolute paths are left as-is
+    if (!url || /^(?:[a-zA-Z][\w+.-]*:|\/|#)/.test(url)) {
+        return null;
+    }
+
+    const assetPath = resolveRelativeUrl(url, inputPath);
+
+    if (!assetPath || isPageFile(assetPath) || !fs.existsSync(assetPath) || !fs.statSync(assetPath).isFile()) {
+        return null;
+    }
+
+    return assetPath;
+}
+
+/**
+ * @param {string} url - relative, without a scheme
+ * @param {string} pagePath
+ * @returns {string|null} the path of the file the URL points to from the page, without its query and hash, or null if
+ *   it isn't a valid URL
+ */
+function resolveRelativeUrl(url, pagePath) {
+    try {
+        return pathModule.resolve(pathModule.dirname(pagePath), decodeURIComponent(url.replace(/[?#].*$/, "")));
+    } catch (e) {
+        return null;
+    }
+}
+
+/**
+ * @param {string} original - the attribute an asset was linked with, ex: 'src="img/chart.png"'
+ * @param {string} pagePath - where the decrypted page is written
+ * @returns {string} where to decrypt the asset, for the link to work again
+ */
+function getAssetOutputPath(original, pagePath) {
+    const [{ value }] = findAttributes(`<a ${original}>`);
+
+    return resolveRelativeUrl(value, pagePath);
+}
+
+/**
+ * Undo extractSectionAssets on the content of a decrypted section.
+ *
+ * @param {string} content
+ * @param {{attribute: string, file: string, original: string}[]} [assets] - in the order of the section
+ * @returns {string}
+ */
+function restoreAssetReferences(content, assets = []) {
+    return assets.reduce(
+        (restored, { attribute, file, original }) =>
+            restored.replace(`data-staticrypt-${attribute}="${file}"`, () => original),
+        content
+    );
+}
+
+/**
+ * Encrypt the sections of each group with the password of that group, so a reader can only ever decrypt the groups
+ * they have the password for. Each section has its own ciphertext, encrypted with the content key of its group, so the
+ * runtime only decrypts the sections the reader opens. The assets of a group are encrypted with the same key.
+ *
+ * @param {Object<string, {id: string, content: string, startMarker: string}[]>} sectionsByGroup
+ * @param {Object<string, string[]>} hashedPasswords - group key => hashed passwords
+ * @param {string} salt
+ * @param {Object} kdfParameters - how the passwords were hashed
+ * @param {Object<string, Object<string, string>>} [assetPathsByGroup] - from extractSectionAssets
+ * @returns {Promise<{
+ *  encryptedGroups: Object<string, EncryptedGroup>,
+ *  encryptedAssets: Object<string, Object<string, Uint8Array>>,
+ * }>} group => encrypted sections, and group => encrypted assets by .enc file name
+ */
+async function encryptSectionsByGroup(sectionsByGroup, hashedPasswords, salt, kdfParameters, assetPathsByGroup = {}) {
+    const encryptedGroups = {};
+    const encryptedAssets = {};
+
+    for (const [group, sections] of Object.entries(sectionsByGroup)) {
+        if (!/^[\w-]+$/.test(group)) {
+            throw new InvalidInputError(
+                `invalid group name "${group}". Only letters, digits, "_" and "-" are allowed.`
+            );
+        }
+
+        const groupHashedPasswords = hashedPasswords[getGroupKey(group)];
+
+        if (!groupHashedPasswords || groupHashedPasswords.length === 0) {
+            throw new MissingPasswordError(`no password found for group "${group}".`, group);
+        }
+
+        const contentKey = cryptoEngine.generateRandomKey();
+        const encryptedSections = {};
+
+        for (const { id, ...section } of sections) {
+            encryptedSections[id] = await encodeWithContentKey(JSON.stringify(section), contentKey, id);
+        }
+
+        encryptedGroups[group] = {
+            key: await encodeContentKey(contentKey, groupHashedPasswords, salt, kdfParameters),
+            sections: encryptedSections,
+        };
+
+        encryptedAssets[group] = {};
+        for (const [fileName, assetPath] of Object.entries(assetPathsByGroup[group] || {})) {
+            encryptedAssets[group][fileName] = await encodeBytesWithContentKey(
+                fs.readFileSync(assetPath),
+                contentKey,
+                fileName
+            );
+        }
+    }
+
+    return { encryptedGroups, encryptedAssets };
+}
+
+exports.DecryptionError = DecryptionError;
+exports.InvalidInputError = InvalidInputError;
+exports.InvalidOptionError = InvalidOptionError;
+exports.MissingPasswordError = MissingPasswordError;
+exports.StatiCryptError = StatiCryptError;
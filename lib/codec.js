@@ -1,3 +1,22 @@
+const { compress, decompress, COMPRESSION_FORMAT } = require("./compression.js");
+
+// a payload is "v<version>:<header>:<wrapped key>,<wrapped key>,...:<ciphertext>". The header lists how it was
+// encoded, as "<name>=<value>" fields, and is authenticated along with the wrapped keys and the ciphertext. A key
+// payload (encodeContentKey) is the same without the ciphertext, the messages encoded with its key are stored apart.
+const VERSION_PREFIX = "v";
+const PAYLOAD_VERSION = 2;
+const PAYLOAD_SEPARATOR = ":";
+const HEADER_FIELD_SEPARATOR = ";";
+const HEADER_VALUE_SEPARATOR = "=";
+// the wrapped keys and the ciphertext are base64 and the message is compressed before being encrypted, as the header
+// says with its "encoding" and "compression" fields. Payloads without these fields are hex and not compressed.
+const PAYLOAD_ENCODING = "base64";
+const LEGACY_PAYLOAD_ENCODING = "hex";
+// unversioned payloads are "<hmac><iv><ciphertext>" (AES-CBC and HMAC), and the ones encoded for several passwords are
+// "<wrapped key>,<wrapped key>,...|<message encoded with the content key>"
+const WRAPPED_KEYS_SEPARATOR = "|";
+const WRAPPED_KEY_SEPARATOR = ",";
+
 /**
  * Initialize the codec with the provided cryptoEngine - this return functions to encode and decode messages.
  *
@@ -8,24 +27,18 @@ function init(cryptoEngine) {
 
     /**
      * Top-level function for encoding a message.
-     * Includes password hashing, encryption, and signing.
+     * Includes password hashing and encryption.
      *
      * @param {string} msg
      * @param {string} password
      * @param {string} salt
      *
-     * @returns {string} The encoded text
+     * @returns {Promise<string>} The encoded text
      */
     async function encode(msg, password, salt) {
         const hashedPassword = await cryptoEngine.hashPassword(password, salt);
 
-        const encrypted = await cryptoEngine.encrypt(msg, hashedPassword);
-
-        // we use the hashed password in the HMAC because this is effectively what will be used a password (so we can store
-        // it in localStorage safely, we don't use the clear text password)
-        const hmac = await cryptoEngine.signMessage(hashedPassword, encrypted);
-
-        return hmac + encrypted;
+        return encodeWithHashedPasswords(msg, [hashedPassword], salt);
     }
     exports.encode = encode;
 
@@ -35,19 +48,113 @@ function init(cryptoEngine) {
      *
      * @param {string} msg
      * @param {string} hashedPassword
+     * @param {string} salt - the salt the password was hashed with, recorded in the header
+     * @param {Object} [kdfParameters] - how the password was hashed, recorded in the header
      *
-     * @returns {string} The encoded text
+     * @returns {Promise<string>} The encoded text
      */
-    async function encodeWithHashedPassword(msg, hashedPassword) {
-        const encrypted = await cryptoEngine.encrypt(msg, hashedPassword);
+    function encodeWithHashedPassword(msg, hashedPassword, salt, kdfParameters) {
+        return encodeWithHashedPasswords(msg, [hashedPassword], salt, kdfParameters);
+    }
+    exports.encodeWithHashedPassword = encodeWithHashedPassword;
 
-        // we use the hashed password in the HMAC because this is effectively what will be used a password (so we can store
-        // it in localStorage safely, we don't use the clear text password)
-        const hmac = await cryptoEngine.signMessage(hashedPassword, encrypted);
+    /**
+     * Encode a message so any of the passwords can decode it: the message is encrypted with a random content key, and
+     * that key is wrapped (encrypted) with each hashed password. Dropping a password and encoding again revokes it.
+     *
+     * @param {string} msg
+     * @param {string[]} hashedPasswords
+     * @param {string} salt - the salt the passwords were hashed with, recorded in the header
+     * @param {{kdf: string} & Object<string, number>} [kdfParameters] - how the passwords were hashed, recorded in the
+     *   header so the password can be hashed the same way to decode
+     *
+     * @returns {Promise<string>} The encoded text
+     */
+    async function encodeWithHashedPasswords(msg, hashedPasswords, salt, kdfParameters) {
+        const header = createHeader(salt, kdfParameters);
+        const contentKey = cryptoEngine.generateRandomKey();
 
-        return hmac + encrypted;
+        return [
+            VERSION_PREFIX + PAYLOAD_VERSION,
+            header,
+            await wrapContentKey(contentKey, hashedPasswords, header),
+            await encryptMsg(msg, contentKey, header),
+        ].join(PAYLOAD_SEPARATOR);
     }
-    exports.encodeWithHashedPassword = encodeWithHashedPassword;
+    exports.encodeWithHashedPasswords = encodeWithHashedPasswords;
+
+    /**
+     * Wrap a content key with each hashed password, so the messages encoded with encodeWithContentKey can each be
+     * decoded on their own by any of the passwords. Wrapping the same key for other passwords changes who can decode
+     * the messages without encoding them again.
+     *
+     * @param {string} contentKey - from cryptoEngine.generateRandomKey
+     * @param {string[]} hashedPasswords
+     * @param {string} salt - the salt the passwords were hashed with, recorded in the header
+     * @param {{kdf: string} & Object<string, number>} [kdfParameters] - how the passwords were hashed, recorded in the
+     *   header
+     *
+     * @returns {Promise<string>} the key payload, "v<version>:<header>:<wrapped key>,<wrapped key>,..."
+     */
+    async function encodeContentKey(contentKey, hashedPasswords, salt, kdfParameters) {
+        const header = createHeader(salt, kdfParameters);
+
+        return [
+            VERSION_PREFIX + PAYLOAD_VERSION,
+            header,
+            await wrapContentKey(contentKey, hashedPasswords, header),
+        ].join(PAYLOAD_SEPARATOR);
+    }
+    exports.encodeContentKey = encodeContentKey;
+
+    /**
+     * Encode a message with a content key wrapped by encodeContentKey.
+     *
+     * @param {string} msg
+     * @param {string} contentKey
+     * @param {string} name - authenticated along with the message, so it can't be passed off as another one
+     *
+     * @returns {Promise<string>} The encoded text
+     */
+    function encodeWithContentKey(msg, contentKey, name) {
+        return encryptMsg(msg, contentKey, name);
+    }
+    exports.encodeWithContentKey = encodeWithContentKey;
+
+    /**
+     * Encrypt a file with a content key wrapped by encodeContentKey. The bytes are neither compressed nor encoded, the
+     * files are stored as-is and images, PDFs or videos are compressed already.
+     *
+     * @param {Uint8Array} bytes
+     * @param {string} contentKey
+     * @param {string} name - authenticated along with the bytes, so a file can't be passed off as another one
+     *
+     * @returns {Promise<Uint8Array>} the iv followed by the ciphertext
+     */
+    function encodeBytesWithContentKey(bytes, contentKey, name) {
+        return cryptoEngine.encryptAuthenticated(bytes, contentKey, name);
+    }
+    exports.encodeBytesWithContentKey = encodeBytesWithContentKey;
+
+    /**
+     * Read how a payload was encoded, without decoding it.
+     *
+     * @param {string} encodedMsg
+     *
+     * @returns {{version: number} & Object<string, string>} the version and the header fields (alg, kdf and its cost
+     *   parameters, salt...), to pass to cryptoEngine.hashPassword. Unversioned payloads are version 1 and have no
+     *   header, their passwords are hashed with PBKDF2.
+     */
+    function getPayloadParameters(encodedMsg) {
+        if (!encodedMsg.startsWith(VERSION_PREFIX)) {
+            return { version: 1 };
+        }
+
+        const [version, header] = encodedMsg.split(PAYLOAD_SEPARATOR);
+
+        return { ...parseHeader(header), version: Number(version.substring(VERSION_PREFIX.length)) };
+    }
+    exports.getPayloadParameters = getPayloadParameters;
 
     /**
      * Top-level function for decoding a message.
@@ -62,26 +169,170 @@ function init(cryptoEngine) {
      * @returns {Object} {success: true, decoded: string} | {success: false, message: string}
      */
     async function decode(signedMsg, hashedPassword, salt, backwardCompatibleAttempt = 0, originalPassword = "") {
-        const encryptedHMAC = signedMsg.substring(0, 64);
-        const encryptedMsg = signedMsg.substring(64);
-        const decryptedHMAC = await cryptoEngine.signMessage(hashedPassword, encryptedMsg);
+        return decodeWithBackwardCompatibleHashes(
+            decodeWithHashedPassword,
+            signedMsg,
+            hashedPassword,
+            salt,
+            backwardCompatibleAttempt,
+            originalPassword
+        );
+    }
+    exports.decode = decode;
 
-        if (decryptedHMAC !== encryptedHMAC) {
+    /**
+     * Unwrap the content key of a key payload, with the same backward compatibility attempts as decode.
+     *
+     * @param {string} keyPayload - from encodeContentKey
+     * @param {string} hashedPassword
+     * @param {string} salt
+     *
+     * @returns {Promise<Object>} {success: true, decoded: string} with the content key | {success: false, message:
+     *   string}
+     */
+    function decodeContentKey(keyPayload, hashedPassword, salt) {
+        return decodeWithBackwardCompatibleHashes(unwrapContentKey, keyPayload, hashedPassword, salt);
+    }
+    exports.decodeContentKey = decodeContentKey;
+
+    /**
+     * Decode a message encoded by encodeWithContentKey.
+     *
+     * @param {string} encodedMsg
+     * @param {string} contentKey - from decodeContentKey
+     * @param {string} name - the name the message was encoded with
+     * @param {string} keyPayload - the payload the content key was wrapped in, its header tells how the message was
+     *   encoded
+     *
+     * @returns {Promise<Object>} {success: true, decoded: string} | {success: false, message: string}
+     */
+    async function decodeWithContentKey(encodedMsg, contentKey, name, keyPayload) {
+        const [version, header] = keyPayload.split(PAYLOAD_SEPARATOR);
+        const headerFields = parseHeader(header);
+
+        if (!isSupported(version, headerFields)) {
+            return { success: false, message: "Unsupported payload version" };
+        }
+
+        try {
+            return { success: true, decoded: await decryptMsg(encodedMsg, contentKey, name, headerFields) };
+        } catch (e) {
+            return { success: false, message: "Signature mismatch" };
+        }
+    }
+    exports.decodeWithContentKey = decodeWithContentKey;
+
+    /**
+     * Decrypt a file encrypted by encodeBytesWithContentKey.
+     *
+     * @param {Uint8Array} encryptedBytes
+     * @param {string} contentKey - from decodeContentKey
+     * @param {string} name - the name the file was encrypted with
+     *
+     * @returns {Promise<Object>} {success: true, decoded: Uint8Array} | {success: false, message: string}
+     */
+    async function decodeBytesWithContentKey(encryptedBytes, contentKey, name) {
+        try {
+            return {
+                success: true,
+                decoded: await cryptoEngine.decryptAuthenticated(encryptedBytes, contentKey, name),
+            };
+        } catch (e) {
+            return { success: false, message: "Signature mismatch" };
+        }
+    }
+    exports.decodeBytesWithContentKey = decodeBytesWithContentKey;
+
+    /**
+     * Decode with the hashed password and, for pages hashing passwords with PBKDF2, retry with the password brought
+     * up to the current number of iterations.
+     *
+     * @param {function(string, string): Promise<Object>} decodeWithHash - decodes the message with a hashed password
+     * @param {string} signedMsg
+     * @param {string} hashedPassword
+     * @param {string} salt
+     * @param {int} backwardCompatibleAttempt
+     * @param {string} originalPassword
+     *
+     * @returns {Promise<Object>} {success: true, decoded: string} | {success: false, message: string}
+     */
+    async function decodeWithBackwardCompatibleHashes(
+        decodeWithHash,
+        signedMsg,
+        hashedPassword,
+        salt,
+        backwardCompatibleAttempt = 0,
+        originalPassword = ""
+    ) {
+        const result = await decodeWithHash(signedMsg, hashedPassword);
+
+        // old hashes can only be brought up to speed for pages hashing passwords with PBKDF2
+        const { kdf = cryptoEngine.DEFAULT_KDF } = getPayloadParameters(signedMsg);
+
+        if (!result.success && kdf === cryptoEngine.DEFAULT_KDF) {
             // we have been raising the number of iterations in the hashing algorithm multiple times, so to support the old
             // remember-me/autodecrypt links we need to try bringing the old hashes up to speed.
             originalPassword = originalPassword || hashedPassword;
+            let updatedHashedPassword = null;
             if (backwardCompatibleAttempt === 0) {
-                const updatedHashedPassword = await cryptoEngine.hashThirdRound(originalPassword, salt);
-
-                return decode(signedMsg, updatedHashedPassword, salt, backwardCompatibleAttempt + 1, originalPassword);
+                updatedHashedPassword = await cryptoEngine.hashThirdRound(originalPassword, salt);
             }
             if (backwardCompatibleAttempt === 1) {
-                let updatedHashedPassword = await cryptoEngine.hashSecondRound(originalPassword, salt);
+                updatedHashedPassword = await cryptoEngine.hashSecondRound(originalPassword, salt);
                 updatedHashedPassword = await cryptoEngine.hashThirdRound(updatedHashedPassword, salt);
+            }
 
-                return decode(signedMsg, updatedHashedPassword, salt, backwardCompatibleAttempt + 1, originalPassword);
+            if (updatedHashedPassword) {
+                return decodeWithBackwardCompatibleHashes(
+                    decodeWithHash,
+                    signedMsg,
+                    updatedHashedPassword,
+                    salt,
+                    backwardCompatibleAttempt + 1,
+                    originalPassword
+                );
             }
+        }
+
+        return result;
+    }
 
+    /**
+     * Check the signature and decrypt a message encoded for one or several passwords, without the backward
+     * compatibility attempts of decode.
+     *
+     * @param {string} signedMsg
+     * @param {string} hashedPassword
+     *
+     * @returns {Promise<Object>} {success: true, decoded: string} | {success: false, message: string}
+     */
+    async function decodeWithHashedPassword(signedMsg, hashedPassword) {
+        if (signedMsg.startsWith(VERSION_PREFIX)) {
+            return decodeVersionedWithHashedPassword(signedMsg, hashedPassword);
+        }
+
+        const wrappedKeysEnd = signedMsg.indexOf(WRAPPED_KEYS_SEPARATOR);
+
+        // try the password on each wrapped key, the one it unwraps decodes the message
+        if (wrappedKeysEnd !== -1) {
+            const wrappedKeys = signedMsg.substring(0, wrappedKeysEnd).split(WRAPPED_KEY_SEPARATOR);
+
+            for (const wrappedKey of wrappedKeys) {
+                const keyResult = await decodeWithHashedPassword(wrappedKey, hashedPassword);
+
+                if (keyResult.success) {
+                    return decodeWithHashedPassword(signedMsg.substring(wrappedKeysEnd + 1), keyResult.decoded);
+                }
+            }
+
+            return { success: false, message: "Signature mismatch" };
+        }
+
+        const encryptedHMAC = signedMsg.substring(0, 64);
+        const encryptedMsg = signedMsg.substring(64);
+        const decryptedHMAC = await cryptoEngine.signMessage(hashedPassword, encryptedMsg);
+
+        if (decryptedHMAC !== encryptedHMAC) {
             return { success: false, message: "Signature mismatch" };
         }
 
@@ -90,8 +341,206 @@ function init(cryptoEngine) {
             decoded: await cryptoEngine.decrypt(encryptedMsg, hashedPassword),
         };
     }
-    exports.decode = decode;
+
+    /**
+     * Unwrap the content key with the password and decrypt a versioned payload.
+     *
+     * @param {string} encodedMsg
+     * @param {string} hashedPassword
+     *
+     * @returns {Promise<Object>} {success: true, decoded: string} | {success: false, message: string}
+     */
+    async function decodeVersionedWithHashedPassword(encodedMsg, hashedPassword) {
+        const [, header, , encryptedMsg] = encodedMsg.split(PAYLOAD_SEPARATOR);
+
+        const keyResult = await unwrapContentKey(encodedMsg, hashedPassword);
+        if (!keyResult.success) {
+            return keyResult;
+        }
+
+        try {
+            return {
+                success: true,
+                decoded: await decryptMsg(encryptedMsg, keyResult.decoded, header, parseHeader(header)),
+            };
+        } catch (e) {
+            return { success: false, message: "Signature mismatch" };
+        }
+    }
+
+    /**
+     * Find the wrapped key of a versioned payload that the password unwraps.
+     *
+     * @param {string} encodedMsg - a payload or a key payload
+     * @param {string} hashedPassword
+     *
+     * @returns {Promise<Object>} {success: true, decoded: string} with the content key | {success: false, message:
+     *   string}
+     */
+    async function unwrapContentKey(encodedMsg, hashedPassword) {
+        const [version, header, wrappedKeys] = encodedMsg.split(PAYLOAD_SEPARATOR);
+        const headerFields = parseHeader(header);
+
+        if (!isSupported(version, headerFields)) {
+            return { success: false, message: "Unsupported payload version" };
+        }
+
+        const binaryEncoder = getBinaryEncoder(headerFields.encoding);
+
+        // a wrapped key that doesn't decrypt is for another password, the authentication fails and we try the next one
+        for (const wrappedKey of wrappedKeys.split(WRAPPED_KEY_SEPARATOR)) {
+            try {
+                const contentKey = await cryptoEngine.decryptAuthenticated(
+                    binaryEncoder.parse(wrappedKey),
+                    hashedPassword,
+                    header
+                );
+
+                return { success: true, decoded: cryptoEngine.UTF8Encoder.stringify(contentKey) };
+            } catch (e) {
+                continue;
+            }
+        }
+
+        return { success: false, message: "Signature mismatch" };
+    }
+
+    /**
+     * @param {string} salt
+     * @param {{kdf: string} & Object<string, number>} [kdfParameters]
+     * @returns {string}
+     */
+    function createHeader(salt, kdfParameters) {
+        const { DEFAULT_KDF, KDF_DEFAULT_PARAMETERS } = cryptoEngine;
+
+        return serializeHeader({
+            alg: cryptoEngine.AUTHENTICATED_ENCRYPTION_NAME,
+            ...(kdfParameters || { kdf: DEFAULT_KDF, ...KDF_DEFAULT_PARAMETERS[DEFAULT_KDF] }),
+            salt,
+            encoding: PAYLOAD_ENCODING,
+            compression: COMPRESSION_FORMAT,
+        });
+    }
+
+    /**
+     * @param {string} version
+     * @param {Object<string, string>} headerFields
+     * @returns {boolean} whether we know how to decode a payload with this version and header
+     */
+    function isSupported(version, headerFields) {
+        const { alg, encoding, compression } = headerFields;
+
+        return (
+            version === VERSION_PREFIX + PAYLOAD_VERSION &&
+            alg === cryptoEngine.AUTHENTICATED_ENCRYPTION_NAME &&
+            getBinaryEncoder(encoding) !== null &&
+            (!compression || compression === COMPRESSION_FORMAT)
+        );
+    }
+
+    /**
+     * @param {string} contentKey
+     * @param {string[]} hashedPasswords
+     * @param {string} header
+     * @returns {Promise<string>} the wrapped keys, joined
+     */
+    async function wrapContentKey(contentKey, hashedPasswords, header) {
+        const binaryEncoder = getBinaryEncoder(PAYLOAD_ENCODING);
+
+        const wrappedKeys = [];
+        for (const hashedPassword of hashedPasswords) {
+            const wrappedKey = await cryptoEngine.encryptAuthenticated(
+                cryptoEngine.UTF8Encoder.parse(contentKey),
+                hashedPassword,
+                header
+            );
+            wrappedKeys.push(binaryEncoder.stringify(wrappedKey));
+        }
+
+        return wrappedKeys.join(WRAPPED_KEY_SEPARATOR);
+    }
+
+    /**
+     * Compress and encrypt a message.
+     *
+     * @param {string} msg
+     * @param {string} contentKey
+     * @param {string} additionalData
+     * @returns {Promise<string>}
+     */
+    async function encryptMsg(msg, contentKey, additionalData) {
+        const compressedMsg = await compress(cryptoEngine.UTF8Encoder.parse(msg));
+        const encryptedMsg = await cryptoEngine.encryptAuthenticated(compressedMsg, contentKey, additionalData);
+
+        return getBinaryEncoder(PAYLOAD_ENCODING).stringify(encryptedMsg);
+    }
+
+    /**
+     * Decrypt a message encrypted by encryptMsg, or by an older version with another encoding or no compression.
+     * Rejects if the key is wrong or anything was tampered with.
+     *
+     * @param {string} encryptedMsg
+     * @param {string} contentKey
+     * @param {string} additionalData
+     * @param {Object<string, string>} headerFields - the encoding and compression fields tell how the message was
+     *   encrypted
+     * @returns {Promise<string>}
+     */
+    async function decryptMsg(encryptedMsg, contentKey, additionalData, headerFields) {
+        const { encoding, compression } = headerFields;
+
+        let decrypted = await cryptoEngine.decryptAuthenticated(
+            getBinaryEncoder(encoding).parse(encryptedMsg),
+            contentKey,
+            additionalData
+        );
+        if (compression) {
+            decrypted = await decompress(decrypted);
+        }
+
+        return cryptoEngine.UTF8Encoder.stringify(decrypted);
+    }
+
+    /**
+     * @param {string} [encoding] - the encoding field of a payload header, payloads without it are hex
+     * @returns {{parse: function(string): Uint8Array, stringify: function(Uint8Array): string}|null}
+     */
+    function getBinaryEncoder(encoding = LEGACY_PAYLOAD_ENCODING) {
+        if (encoding === PAYLOAD_ENCODING) {
+            return cryptoEngine.Base64Encoder;
+        }
+        if (encoding === LEGACY_PAYLOAD_ENCODING) {
+            return cryptoEngine.HexEncoder;
+        }
+
+        return null;
+    }
 
     return exports;
 }
 exports.init = init;
+
+/**
+ * @param {Object<string, string|number>} fields
+ * @returns {string}
+ */
+function serializeHeader(fields) {
+    return Object.entries(fields)
+        .map(([name, value]) => name + HEADER_VALUE_SEPARATOR + value)
+        .join(HEADER_FIELD_SEPARATOR);
+}
+
+/**
+ * @param {string} header
+ * @returns {Object<string, string>}
+ */
+function parseHeader(header) {
+    const fields = {};
+
+    header.split(HEADER_FIELD_SEPARATOR).forEach((field) => {
+        const separatorIndex = field.indexOf(HEADER_VALUE_SEPARATOR);
+        fields[field.substring(0, separatorIndex)] = field.substring(separatorIndex + 1);
+    });
+
+    return fields;
+}
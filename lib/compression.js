@@ -0,0 +1,46 @@
+// Node's zlib and the browsers' CompressionStream read and write the same "deflate" (zlib) format. This line is
+// removed from the browser build, which only uses CompressionStream.
+const zlib = typeof window === "undefined" ? require("node:zlib") : null;
+
+/**
+ * Name of the compression of compress, recorded in the header of encoded payloads.
+ */
+const COMPRESSION_FORMAT = "deflate";
+exports.COMPRESSION_FORMAT = COMPRESSION_FORMAT;
+
+/**
+ * @param {Uint8Array} bytes
+ * @returns {Promise<Uint8Array>}
+ */
+async function compress(bytes) {
+    if (typeof window === "undefined") {
+        return new Uint8Array(zlib.deflateSync(bytes));
+    }
+
+    return pipeThrough(bytes, new CompressionStream(COMPRESSION_FORMAT));
+}
+exports.compress = compress;
+
+/**
+ * @param {Uint8Array} bytes - compressed by compress
+ * @returns {Promise<Uint8Array>}
+ */
+async function decompress(bytes) {
+    if (typeof window === "undefined") {
+        return new Uint8Array(zlib.inflateSync(bytes));
+    }
+
+    return pipeThrough(bytes, new DecompressionStream(COMPRESSION_FORMAT));
+}
+exports.decompress = decompress;
+
+/**
+ * @param {Uint8Array} bytes
+ * @param {TransformStream} transformStream
+ * @returns {Promise<Uint8Array>}
+ */
+async function pipeThrough(bytes, transformStream) {
+    const response = new Response(new Blob([bytes]).stream().pipeThrough(transformStream));
+
+    return new Uint8Array(await response.arrayBuffer());
+}
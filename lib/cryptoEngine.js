@@ -1,9 +1,34 @@
 const crypto = typeof window === "undefined" ? require("node:crypto").webcrypto : window.crypto;
 const { subtle } = crypto;
+const { argon2id, scrypt } = require("./kdf.js");
 
 const IV_BITS = 16 * 8;
 const HEX_BITS = 4;
 const ENCRYPTION_ALGO = "AES-CBC";
+// AES-GCM authenticates what it encrypts, so it doesn't need a separate HMAC. Its IV is 96 bits as recommended.
+const AUTHENTICATED_ENCRYPTION_ALGO = "AES-GCM";
+const AUTHENTICATED_IV_BITS = 12 * 8;
+
+/**
+ * Name of the authenticated encryption of encryptAuthenticated, recorded in the header of encoded payloads.
+ */
+const AUTHENTICATED_ENCRYPTION_NAME = "aes-256-gcm";
+exports.AUTHENTICATED_ENCRYPTION_NAME = AUTHENTICATED_ENCRYPTION_NAME;
+
+/**
+ * The key derivation functions hashPassword supports, with their default cost parameters. PBKDF2 is the default, the
+ * iterations of its three rounds add up to 600k and can't be changed. scrypt uses 128 * n * r bytes of memory (64 MiB),
+ * Argon2id m KiB (19 MiB), both following the OWASP recommendations.
+ */
+const KDF_DEFAULT_PARAMETERS = {
+    pbkdf2: { iterations: 600000 },
+    scrypt: { n: 65536, r: 8, p: 2 },
+    argon2id: { m: 19456, t: 2, p: 1 },
+};
+exports.KDF_DEFAULT_PARAMETERS = KDF_DEFAULT_PARAMETERS;
+
+const DEFAULT_KDF = "pbkdf2";
+exports.DEFAULT_KDF = DEFAULT_KDF;
 
 /**
  * Translates between utf8 encoded hexadecimal strings
@@ -47,6 +72,43 @@ const HexEncoder = {
         return hexBytes.join("");
     },
 };
+exports.HexEncoder = HexEncoder;
+
+/**
+ * Translates between base64 strings and Uint8Array bytes. Base64 takes 4 characters for 3 bytes where hex takes 6.
+ */
+const Base64Encoder = {
+    /**
+     * base64 string -> bytes
+     * @param {string} base64String
+     * @returns {Uint8Array}
+     */
+    parse: function (base64String) {
+        const binaryString = atob(base64String);
+        const bytes = new Uint8Array(binaryString.length);
+
+        for (let i = 0; i < binaryString.length; ++i) {
+            bytes[i] = binaryString.charCodeAt(i);
+        }
+        return bytes;
+    },
+
+    /**
+     * bytes -> base64 string
+     * @param {Uint8Array} bytes
+     * @returns {string}
+     */
+    stringify: function (bytes) {
+        const binaryChunks = [];
+
+        // String.fromCharCode takes one argument per byte, so convert in chunks to stay under the engines' limits
+        for (let i = 0; i < bytes.length; i += 0x8000) {
+            binaryChunks.push(String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000)));
+        }
+        return btoa(binaryChunks.join(""));
+    },
+};
+exports.Base64Encoder = Base64Encoder;
 
 /**
  * Translates between utf8 strings and Uint8Array bytes.
@@ -60,6 +122,7 @@ const UTF8Encoder = {
         return new TextDecoder().decode(bytes);
     },
 };
+exports.UTF8Encoder = UTF8Encoder;
 
 /**
  * Salt and encrypt a msg with a password.
@@ -112,14 +175,99 @@ async function decrypt(encryptedMsg, hashedPassword) {
 }
 exports.decrypt = decrypt;
 
+/**
+ * Encrypt bytes with AES-256-GCM. Decryption fails if the ciphertext or the additional data has been tampered with, so
+ * no HMAC is needed.
+ *
+ * @param {Uint8Array} bytes
+ * @param {string} hashedPassword
+ * @param {string} additionalData - authenticated along with the bytes, but not encrypted
+ * @returns {Promise<Uint8Array>} the iv followed by the ciphertext
+ */
+async function encryptAuthenticated(bytes, hashedPassword, additionalData) {
+    const iv = crypto.getRandomValues(new Uint8Array(AUTHENTICATED_IV_BITS / 8));
+
+    const key = await subtle.importKey("raw", HexEncoder.parse(hashedPassword), AUTHENTICATED_ENCRYPTION_ALGO, false, [
+        "encrypt",
+    ]);
+
+    const encrypted = new Uint8Array(
+        await subtle.encrypt(
+            {
+                name: AUTHENTICATED_ENCRYPTION_ALGO,
+                iv,
+                additionalData: UTF8Encoder.parse(additionalData),
+            },
+            key,
+            bytes
+        )
+    );
+
+    const encryptedWithIv = new Uint8Array(iv.length + encrypted.length);
+    encryptedWithIv.set(iv);
+    encryptedWithIv.set(encrypted, iv.length);
+
+    return encryptedWithIv;
+}
+exports.encryptAuthenticated = encryptAuthenticated;
+
+/**
+ * Decrypt bytes encrypted by encryptAuthenticated. Rejects if the password is wrong or anything was tampered with.
+ *
+ * @param {Uint8Array} encryptedBytes
+ * @param {string} hashedPassword
+ * @param {string} additionalData
+ * @returns {Promise<Uint8Array>}
+ */
+async function decryptAuthenticated(encryptedBytes, hashedPassword, additionalData) {
+    const ivLength = AUTHENTICATED_IV_BITS / 8;
+
+    const key = await subtle.importKey("raw", HexEncoder.parse(hashedPassword), AUTHENTICATED_ENCRYPTION_ALGO, false, [
+        "decrypt",
+    ]);
+
+    const outBuffer = await subtle.decrypt(
+        {
+            name: AUTHENTICATED_ENCRYPTION_ALGO,
+            iv: encryptedBytes.subarray(0, ivLength),
+            additionalData: UTF8Encoder.parse(additionalData),
+        },
+        key,
+        encryptedBytes.subarray(ivLength)
+    );
+
+    return new Uint8Array(outBuffer);
+}
+exports.decryptAuthenticated = decryptAuthenticated;
+
 /**
  * Salt and hash the password so it can be stored in localStorage without opening a password reuse vulnerability.
  *
  * @param {string} password
  * @param {string} salt
+ * @param {{kdf?: string} & Object<string, number|string>} kdfParameters - the key derivation function and its cost
+ *   parameters, as recorded in the header of a payload. Missing parameters take their default value.
  * @returns {Promise<string>}
  */
-async function hashPassword(password, salt) {
+async function hashPassword(password, salt, kdfParameters = {}) {
+    const { kdf = DEFAULT_KDF } = kdfParameters;
+
+    if (kdf === "scrypt" || kdf === "argon2id") {
+        const costParameters = {};
+        Object.entries(KDF_DEFAULT_PARAMETERS[kdf]).forEach(([name, value]) => {
+            costParameters[name] = Number(kdfParameters[name] || value);
+        });
+
+        const derive = kdf === "scrypt" ? scrypt : argon2id;
+        const keyBytes = await derive(UTF8Encoder.parse(password), UTF8Encoder.parse(salt), costParameters, 256 / 8);
+
+        return HexEncoder.stringify(keyBytes);
+    }
+
+    if (kdf !== DEFAULT_KDF) {
+        throw new Error(`Unsupported key derivation function: ${kdf}`);
+    }
+
     // we hash the password in multiple steps, each adding more iterations. This is because we used to allow less
     // iterations, so for backward compatibility reasons, we need to support going from that to more iterations.
     let hashedPassword = await hashLegacyRound(password, salt);
@@ -202,6 +350,18 @@ function generateRandomSalt() {
 }
 exports.generateRandomSalt = generateRandomSalt;
 
+/**
+ * Generate a random key, with the same size and format as a hashed password so they can be used in the same places.
+ *
+ * @returns {string}
+ */
+function generateRandomKey() {
+    const bytes = crypto.getRandomValues(new Uint8Array(256 / 8));
+
+    return HexEncoder.stringify(bytes);
+}
+exports.generateRandomKey = generateRandomKey;
+
 async function signMessage(hashedPassword, message) {
     const key = await subtle.importKey(
         "raw",
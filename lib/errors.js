@@ -0,0 +1,59 @@
+/**
+ * Base class of the errors thrown by StatiCrypt, so callers can tell them apart from unexpected errors.
+ */
+class StatiCryptError extends Error {
+    /**
+     * @param {string} message
+     */
+    constructor(message) {
+        super(message);
+        this.name = this.constructor.name;
+    }
+}
+exports.StatiCryptError = StatiCryptError;
+
+/**
+ * An option is invalid: malformed salt, unknown locale, template without the attributes we need...
+ */
+class InvalidOptionError extends StatiCryptError {}
+exports.InvalidOptionError = InvalidOptionError;
+
+/**
+ * The HTML can't be processed: invalid group name in a marker, page that wasn't encrypted by StatiCrypt...
+ */
+class InvalidInputError extends StatiCryptError {
+    /**
+     * @param {string} message
+     * @param {{line: number, column: number}} [location] - where the problem is in the HTML, when it's known
+     */
+    constructor(message, location) {
+        super(message);
+
+        if (location) {
+            this.line = location.line;
+            this.column = location.column;
+        }
+    }
+}
+exports.InvalidInputError = InvalidInputError;
+
+/**
+ * A page has sections for an access group we weren't given the password of.
+ */
+class MissingPasswordError extends StatiCryptError {
+    /**
+     * @param {string} message
+     * @param {string} group
+     */
+    constructor(message, group) {
+        super(message);
+        this.group = group;
+    }
+}
+exports.MissingPasswordError = MissingPasswordError;
+
+/**
+ * The password is wrong, or the encrypted content has been tampered with.
+ */
+class DecryptionError extends StatiCryptError {}
+exports.DecryptionError = DecryptionError;
@@ -0,0 +1,116 @@
+/**
+ * Gitignore-style path patterns, used by the include, exclude and passthrough options and the .staticryptignore files.
+ *
+ * A pattern without a "/" matches a file or directory name at any depth, a pattern with a "/" is relative to the
+ * directory the patterns apply to. "*" matches anything but "/", "**" matches any number of directories, "?" matches
+ * one character and "[a-z]" a character class. A trailing "/" only matches directories, a leading "!" re-includes what
+ * a previous pattern matched, and lines starting with "#" are comments.
+ */
+
+/**
+ * @typedef {{regex: RegExp, isNegated: boolean, isDirectoryOnly: boolean}} Pattern
+ */
+
+/**
+ * @param {string[]} lines - one pattern per line, blank lines and comments are ignored
+ * @returns {Pattern[]}
+ */
+function parsePatterns(lines) {
+    return lines
+        .map((line) => line.trimEnd())
+        .filter((line) => line !== "" && !line.startsWith("#"))
+        .map((line) => {
+            const isNegated = line.startsWith("!");
+            let glob = isNegated ? line.substring(1) : line;
+
+            const isDirectoryOnly = glob.endsWith("/");
+            if (isDirectoryOnly) {
+                glob = glob.substring(0, glob.length - 1);
+            }
+
+            // a pattern is relative to its directory if it has a "/" somewhere, otherwise it matches at any depth
+            const isAnchored = glob.includes("/");
+            if (glob.startsWith("/")) {
+                glob = glob.substring(1);
+            }
+
+            const prefix = isAnchored ? "" : "(?:.*/)?";
+
+            return { regex: new RegExp(`^${prefix}${globToRegexSource(glob)}$`), isNegated, isDirectoryOnly };
+        });
+}
+exports.parsePatterns = parsePatterns;
+
+/**
+ * @param {Pattern[]} patterns
+ * @param {string} relativePath - with "/" separators
+ * @param {boolean} isDirectory
+ * @returns {boolean|undefined} whether the last pattern matching the path includes it, undefined if none matches
+ */
+function matchPatterns(patterns, relativePath, isDirectory) {
+    let isMatch;
+
+    patterns.forEach(({ regex, isNegated, isDirectoryOnly }) => {
+        if ((!isDirectoryOnly || isDirectory) && regex.test(relativePath)) {
+            isMatch = !isNegated;
+        }
+    });
+
+    return isMatch;
+}
+exports.matchPatterns = matchPatterns;
+
+/**
+ * @param {string} glob
+ * @returns {string}
+ */
+function globToRegexSource(glob) {
+    let source = "";
+
+    for (let i = 0; i < glob.length; i++) {
+        const char = glob[i];
+
+        if (char === "*" && glob[i + 1] === "*") {
+            const isWholeSegment = (i === 0 || glob[i - 1] === "/") && (i + 2 === glob.length || glob[i + 2] === "/");
+
+            if (isWholeSegment && glob[i + 2] === "/") {
+                // "**/" matches zero or more directories
+                source += "(?:.*/)?";
+                i += 2;
+            } else {
+                source += isWholeSegment ? ".*" : "[^/]*";
+                i += 1;
+            }
+        } else if (char === "*") {
+            source += "[^/]*";
+        } else if (char === "?") {
+            source += "[^/]";
+        } else if (char === "[" && glob.indexOf("]", i + 2) !== -1) {
+            const classEnd = glob.indexOf("]", i + 2);
+            const classContent = glob.substring(i + 1, classEnd);
+            const isNegatedClass = classContent.startsWith("!") || classContent.startsWith("^");
+
+            source +=
+                "[" +
+                (isNegatedClass ? "^" : "") +
+                (isNegatedClass ? classContent.substring(1) : classContent).replace(/[\\\]]/g, "\\$&") +
+                "]";
+            i = classEnd;
+        } else if (char === "\\" && i + 1 < glob.length) {
+            // "\#" or "\!" for a name starting with these characters
+            source += escapeRegex(glob[++i]);
+        } else {
+            source += escapeRegex(char);
+        }
+    }
+
+    return source;
+}
+
+/**
+ * @param {string} string
+ * @returns {string}
+ */
+function escapeRegex(string) {
+    return string.replace(/[.*+?^${}()|[\]\\/]/g, "\\$&");
+}
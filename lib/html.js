@@ -0,0 +1,256 @@
+/**
+ * Minimal HTML tooling to find the elements to encrypt: a tokenizer that knows about comments and raw text elements,
+ * element matching with nesting, and simple CSS selectors.
+ */
+
+const { InvalidOptionError } = require("./errors.js");
+
+// elements whose content is text, where a "<" doesn't start a tag
+const RAW_TEXT_ELEMENTS = ["script", "style", "textarea", "title"];
+
+// elements that never have content nor a closing tag
+const VOID_ELEMENTS = "area base br col embed hr img input link meta param source track wbr".split(" ");
+
+const TAG_REGEX = /<(\/?)([a-zA-Z][\w:.-]*)((?:\s+[^\s"'>/=]+(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s"'=<>`]+))?)*)\s*(\/?)>/y;
+const ATTRIBUTE_REGEX = /([^\s"'>/=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'=<>`]+)))?/g;
+
+// a part of a compound selector: tag name, id, class or attribute
+const SELECTOR_PART_REGEX =
+    /([a-zA-Z][\w-]*|\*)|#([\w-]+)|\.([\w-]+)|\[\s*([\w:.-]+)\s*(?:=\s*(?:"([^"]*)"|'([^']*)'|([\w-]+))\s*)?]/y;
+
+/**
+ * @typedef {{
+ *  type: "startTag"|"endTag"|"comment",
+ *  start: number,
+ *  end: number,
+ *  name?: string,
+ *  attributes?: Object<string, string>,
+ *  isSelfClosing?: boolean,
+ *  content?: string,
+ * }} Token
+ */
+
+/**
+ * Split HTML into tags and comments, with their position in the HTML. Text is left out, and so is the content of raw
+ * text elements like <script>.
+ *
+ * @param {string} html
+ * @returns {Token[]}
+ */
+function tokenize(html) {
+    const tokens = [];
+    let i = 0;
+
+    while ((i = html.indexOf("<", i)) !== -1) {
+        if (html.startsWith("<!--", i)) {
+            const commentEnd = html.indexOf("-->", i + 4);
+            const end = commentEnd === -1 ? html.length : commentEnd + 3;
+
+            tokens.push({ type: "comment", start: i, end, content: html.substring(i + 4, end - 3) });
+            i = end;
+            continue;
+        }
+
+        TAG_REGEX.lastIndex = i;
+        const tagMatch = TAG_REGEX.exec(html);
+
+        // a "<" that doesn't start a tag is text, like in "a < b"
+        if (!tagMatch) {
+            i++;
+            continue;
+        }
+
+        const [tag, slash, tagName, attributes, selfClosingSlash] = tagMatch;
+        const name = tagName.toLowerCase();
+
+        tokens.push({
+            type: slash ? "endTag" : "startTag",
+            start: i,
+            end: i + tag.length,
+            name,
+            attributes: parseAttributes(attributes),
+            isSelfClosing: !!selfClosingSlash || VOID_ELEMENTS.includes(name),
+        });
+        i += tag.length;
+
+        // skip the content of raw text elements, up to their closing tag
+        if (!slash && !selfClosingSlash && RAW_TEXT_ELEMENTS.includes(name)) {
+            const closingTagRegex = new RegExp(`</${name}(?=[\\s/>])`, "ig");
+            closingTagRegex.lastIndex = i;
+
+            const closingTagMatch = closingTagRegex.exec(html);
+            i = closingTagMatch ? closingTagMatch.index : html.length;
+        }
+    }
+
+    return tokens;
+}
+exports.tokenize = tokenize;
+
+/**
+ * @param {string} attributesString - ex: ' class="private" data-staticrypt'
+ * @returns {Object<string, string>} attributes without a value are set to ""
+ */
+function parseAttributes(attributesString) {
+    const attributes = {};
+
+    for (const [, name, doubleQuoted, singleQuoted, unquoted] of attributesString.matchAll(ATTRIBUTE_REGEX)) {
+        const value = doubleQuoted !== undefined ? doubleQuoted : singleQuoted !== undefined ? singleQuoted : unquoted;
+
+        attributes[name.toLowerCase()] = value === undefined ? "" : value;
+    }
+
+    return attributes;
+}
+
+/**
+ * Find the attributes of a start tag with their position in the tag, to rewrite some of them.
+ *
+ * @param {string} tag - ex: '<img src="photo.jpg" alt="">'
+ * @returns {{name: string, value: string, start: number, end: number}[]} attributes without a value are set to ""
+ */
+function findAttributes(tag) {
+    const attributesStart = tag.match(/^<[a-zA-Z][\w:.-]*/)[0].length;
+    const attributes = [];
+
+    for (const attributeMatch of tag.substring(attributesStart).matchAll(ATTRIBUTE_REGEX)) {
+        const [attribute, name, doubleQuoted, singleQuoted, unquoted] = attributeMatch;
+        const value = doubleQuoted !== undefined ? doubleQuoted : singleQuoted !== undefined ? singleQuoted : unquoted;
+        const start = attributesStart + attributeMatch.index;
+
+        attributes.push({
+            name: name.toLowerCase(),
+            value: value === undefined ? "" : value,
+            start,
+            end: start + attribute.length,
+        });
+    }
+
+    return attributes;
+}
+exports.findAttributes = findAttributes;
+
+/**
+ * Find the elements matching the predicate, with the position of their tags. An element that isn't closed before its
+ * parent is closed implicitly, like browsers do, and gets a null end tag like the elements never closed at all.
+ *
+ * @param {string} html
+ * @param {(token: Token) => boolean} isMatch
+ * @returns {{startTag: Token, endTag: Token|null}[]} in document order
+ */
+function findElements(html, isMatch) {
+    const elements = [];
+    const openElements = [];
+
+    const closeElements = (index, endTag) => {
+        openElements.splice(index).forEach((startTag, i) => {
+            if (isMatch(startTag)) {
+                elements.push({ startTag, endTag: i === 0 ? endTag : null });
+            }
+        });
+    };
+
+    tokenize(html).forEach((token) => {
+        if (token.type === "startTag" && !token.isSelfClosing) {
+            openElements.push(token);
+            return;
+        }
+
+        if (token.type !== "endTag") {
+            return;
+        }
+
+        const openIndex = openElements.map(({ name }) => name).lastIndexOf(token.name);
+
+        // a stray closing tag is ignored
+        if (openIndex !== -1) {
+            closeElements(openIndex, token);
+        }
+    });
+    closeElements(0, null);
+
+    return elements.sort((a, b) => a.startTag.start - b.startTag.start);
+}
+exports.findElements = findElements;
+
+/**
+ * @param {string} html
+ * @param {number} index
+ * @returns {{line: number, column: number}} both starting at 1
+ */
+function getLocation(html, index) {
+    const lines = html.substring(0, index).split("\n");
+
+    return { line: lines.length, column: lines[lines.length - 1].length + 1 };
+}
+exports.getLocation = getLocation;
+
+/**
+ * Parse a list of simple CSS selectors, like ".private, #pricing, div[data-private]". Each selector is a tag name, an
+ * id, classes and attributes (with an optional "=" value) - combinators and pseudo-classes aren't supported.
+ *
+ * @param {string} selectorList
+ * @returns {{tagName: string|null, id: string|null, classes: string[], attributes: {name: string, value?: string}[]}[]}
+ */
+function parseSelectors(selectorList) {
+    return selectorList.split(",").map((selectorString) => {
+        const selector = { tagName: null, id: null, classes: [], attributes: [] };
+        const trimmed = selectorString.trim();
+        let i = 0;
+
+        while (i < trimmed.length) {
+            SELECTOR_PART_REGEX.lastIndex = i;
+            const partMatch = SELECTOR_PART_REGEX.exec(trimmed);
+
+            if (!partMatch || (partMatch[1] && i > 0)) {
+                throw new InvalidOptionError(
+                    `unsupported selector "${trimmed}". Use tag names, ids, classes and attributes, like ` +
+                        `"div.private" or "[data-private]".`
+                );
+            }
+
+            const [part, tagName, id, className, attributeName, doubleQuoted, singleQuoted, unquoted] = partMatch;
+
+            if (tagName) {
+                selector.tagName = tagName === "*" ? null : tagName.toLowerCase();
+            } else if (id) {
+                selector.id = id;
+            } else if (className) {
+                selector.classes.push(className);
+            } else {
+                const value = [doubleQuoted, singleQuoted, unquoted].find((value) => value !== undefined);
+                selector.attributes.push({ name: attributeName.toLowerCase(), value });
+            }
+
+            i += part.length;
+        }
+
+        if (trimmed === "") {
+            throw new InvalidOptionError(`empty selector in "${selectorList}".`);
+        }
+
+        return selector;
+    });
+}
+exports.parseSelectors = parseSelectors;
+
+/**
+ * @param {Token} token - a start tag
+ * @param {ReturnType<typeof parseSelectors>} selectors
+ * @returns {boolean} whether the element matches one of the selectors
+ */
+function matchesSelectors(token, selectors) {
+    const classes = (token.attributes.class || "").split(/\s+/);
+
+    return selectors.some(
+        (selector) =>
+            (!selector.tagName || selector.tagName === token.name) &&
+            (!selector.id || selector.id === token.attributes.id) &&
+            selector.classes.every((className) => classes.includes(className)) &&
+            selector.attributes.every(
+                ({ name, value }) =>
+                    token.attributes[name] !== undefined && (value === undefined || token.attributes[name] === value)
+            )
+    );
+}
+exports.matchesSelectors = matchesSelectors;
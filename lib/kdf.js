@@ -0,0 +1,667 @@
+/**
+ * Memory-hard key derivation functions, in plain JS so they run the same in Node and in the browser runtime: scrypt
+ * (RFC 7914) and Argon2id (RFC 9106). They make brute-forcing a password on a GPU much more expensive than PBKDF2.
+ */
+const crypto = typeof window === "undefined" ? require("node:crypto").webcrypto : window.crypto;
+const { subtle } = crypto;
+
+const ARGON2_VERSION = 0x13;
+const ARGON2ID_TYPE = 2;
+const ARGON2_SYNC_POINTS = 4;
+// a block is 1 KiB, as 128 64-bit words stored as pairs of 32-bit words (low, high)
+const ARGON2_BLOCK_WORDS = 256;
+const ARGON2_ADDRESSES_PER_BLOCK = 128;
+// the block is a 8x8 matrix of 128-bit registers, permuted row by row then column by column: the indexes of the 64-bit
+// words of each row and each column
+const ARGON2_PERMUTATIONS = [
+    ...Array.from({ length: 8 }, (_, i) => Array.from({ length: 16 }, (_, j) => 16 * i + j)),
+    ...Array.from({ length: 8 }, (_, i) => Array.from({ length: 16 }, (_, j) => 2 * i + 16 * (j >> 1) + (j & 1))),
+];
+
+const BLAKE2B_IV = new Uint32Array([
+    0xf3bcc908, 0x6a09e667, 0x84caa73b, 0xbb67ae85, 0xfe94f82b, 0x3c6ef372, 0x5f1d36f1, 0xa54ff53a, 0xade682d1,
+    0x510e527f, 0x2b3e6c1f, 0x9b05688c, 0xfb41bd6b, 0x1f83d9ab, 0x137e2179, 0x5be0cd19,
+]);
+const BLAKE2B_SIGMA = [
+    [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15],
+    [14, 10, 4, 8, 9, 15, 13, 6, 1, 12, 0, 2, 11, 7, 5, 3],
+    [11, 8, 12, 0, 5, 2, 15, 13, 10, 14, 3, 6, 7, 1, 9, 4],
+    [7, 9, 3, 1, 13, 12, 11, 14, 2, 6, 5, 10, 4, 0, 15, 8],
+    [9, 0, 5, 7, 2, 4, 10, 15, 14, 1, 11, 12, 6, 8, 3, 13],
+    [2, 12, 6, 10, 0, 11, 8, 3, 4, 13, 7, 5, 15, 14, 1, 9],
+    [12, 5, 1, 15, 14, 13, 4, 10, 0, 7, 6, 3, 9, 2, 8, 11],
+    [13, 11, 7, 14, 12, 1, 3, 9, 5, 0, 15, 4, 8, 6, 2, 10],
+    [6, 15, 14, 9, 11, 3, 0, 8, 12, 2, 13, 7, 1, 4, 10, 5],
+    [10, 2, 8, 4, 7, 6, 1, 5, 15, 11, 9, 14, 3, 12, 13, 0],
+    [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15],
+    [14, 10, 4, 8, 9, 15, 13, 6, 1, 12, 0, 2, 11, 7, 5, 3],
+];
+
+/**
+ * @param {Uint8Array} password
+ * @param {Uint8Array} salt
+ * @param {{n: number, r: number, p: number}} parameters - n: CPU/memory cost, a power of 2, r: block size, p:
+ *   parallelization. The memory used is 128 * n * r bytes.
+ * @param {number} keyLength - in bytes
+ * @returns {Promise<Uint8Array>}
+ */
+async function scrypt(password, salt, { n, r, p }, keyLength) {
+    const blockLength = 128 * r;
+    const blocks = await pbkdf2Sha256(password, salt, p * blockLength);
+
+    for (let i = 0; i < p; i++) {
+        scryptROMix(blocks.subarray(i * blockLength, (i + 1) * blockLength), n, r);
+    }
+
+    return pbkdf2Sha256(password, blocks, keyLength);
+}
+exports.scrypt = scrypt;
+
+/**
+ * @param {Uint8Array} password
+ * @param {Uint8Array} salt
+ * @param {{m: number, t: number, p: number}} parameters - m: memory in KiB, t: number of passes, p: parallelism
+ * @param {number} keyLength - in bytes
+ * @returns {Uint8Array}
+ */
+function argon2id(password, salt, { m, t, p }, keyLength) {
+    const initialHash = blake2b(
+        concatBytes([
+            uint32ToBytes(p),
+            uint32ToBytes(keyLength),
+            uint32ToBytes(m),
+            uint32ToBytes(t),
+            uint32ToBytes(ARGON2_VERSION),
+            uint32ToBytes(ARGON2ID_TYPE),
+            uint32ToBytes(password.length),
+            password,
+            uint32ToBytes(salt.length),
+            salt,
+            // no secret and no associated data
+            uint32ToBytes(0),
+            uint32ToBytes(0),
+        ]),
+        64
+    );
+
+    const segmentLength = Math.floor(m / (p * ARGON2_SYNC_POINTS));
+    const laneLength = segmentLength * ARGON2_SYNC_POINTS;
+    const blockCount = laneLength * p;
+    const memory = new Uint32Array(blockCount * ARGON2_BLOCK_WORDS);
+    const getBlock = (index) => memory.subarray(index * ARGON2_BLOCK_WORDS, (index + 1) * ARGON2_BLOCK_WORDS);
+
+    // the first two blocks of each lane come from the initial hash
+    for (let lane = 0; lane < p; lane++) {
+        for (let i = 0; i < 2; i++) {
+            const block = argon2Hash(concatBytes([initialHash, uint32ToBytes(i), uint32ToBytes(lane)]), 1024);
+            getBlock(lane * laneLength + i).set(bytesToUint32Array(block));
+        }
+    }
+
+    const zeroBlock = new Uint32Array(ARGON2_BLOCK_WORDS);
+    const addressInput = new Uint32Array(ARGON2_BLOCK_WORDS);
+    const addresses = new Uint32Array(ARGON2_BLOCK_WORDS);
+    const nextAddresses = () => {
+        addressInput[12]++;
+        argon2Compress(zeroBlock, addressInput, addresses, false);
+        argon2Compress(zeroBlock, addresses, addresses, false);
+    };
+
+    for (let pass = 0; pass < t; pass++) {
+        for (let slice = 0; slice < ARGON2_SYNC_POINTS; slice++) {
+            for (let lane = 0; lane < p; lane++) {
+                // Argon2id picks the reference blocks independently of the password for the first half of the first
+                // pass, against side channels, and from the content of the previous block afterwards
+                const isDataIndependent = pass === 0 && slice < ARGON2_SYNC_POINTS / 2;
+                let startIndex = 0;
+
+                if (isDataIndependent) {
+                    addressInput.fill(0);
+                    [pass, lane, slice, blockCount, t, ARGON2ID_TYPE].forEach((value, i) => {
+                        addressInput[i * 2] = value;
+                    });
+                }
+
+                if (pass === 0 && slice === 0) {
+                    startIndex = 2;
+
+                    if (isDataIndependent) {
+                        nextAddresses();
+                    }
+                }
+
+                for (let index = startIndex; index < segmentLength; index++) {
+                    const offset = lane * laneLength + slice * segmentLength + index;
+                    const previousOffset = offset % laneLength === 0 ? offset + laneLength - 1 : offset - 1;
+
+                    let pseudoRandomLow;
+                    let pseudoRandomHigh;
+                    if (isDataIndependent) {
+                        if (index % ARGON2_ADDRESSES_PER_BLOCK === 0) {
+                            nextAddresses();
+                        }
+                        pseudoRandomLow = addresses[(index % ARGON2_ADDRESSES_PER_BLOCK) * 2];
+                        pseudoRandomHigh = addresses[(index % ARGON2_ADDRESSES_PER_BLOCK) * 2 + 1];
+                    } else {
+                        pseudoRandomLow = memory[previousOffset * ARGON2_BLOCK_WORDS];
+                        pseudoRandomHigh = memory[previousOffset * ARGON2_BLOCK_WORDS + 1];
+                    }
+
+                    const referenceLane = pass === 0 && slice === 0 ? lane : pseudoRandomHigh % p;
+                    const referenceIndex = getArgon2ReferenceIndex(
+                        pass,
+                        slice,
+                        index,
+                        pseudoRandomLow,
+                        referenceLane === lane,
+                        segmentLength
+                    );
+
+                    argon2Compress(
+                        getBlock(previousOffset),
+                        getBlock(referenceLane * laneLength + referenceIndex),
+                        getBlock(offset),
+                        pass > 0
+                    );
+                }
+            }
+        }
+    }
+
+    // the tag is derived from the last blocks of all lanes
+    const finalBlock = getBlock(laneLength - 1).slice();
+    for (let lane = 1; lane < p; lane++) {
+        const laneBlock = getBlock(lane * laneLength + laneLength - 1);
+        for (let i = 0; i < ARGON2_BLOCK_WORDS; i++) {
+            finalBlock[i] ^= laneBlock[i];
+        }
+    }
+
+    return argon2Hash(uint32ArrayToBytes(finalBlock), keyLength);
+}
+exports.argon2id = argon2id;
+
+/**
+ * @param {Uint8Array} password
+ * @param {Uint8Array} salt
+ * @param {number} length - in bytes
+ * @returns {Promise<Uint8Array>} PBKDF2-HMAC-SHA256 with a single iteration, as scrypt uses it
+ */
+async function pbkdf2Sha256(password, salt, length) {
+    const key = await subtle.importKey("raw", password, "PBKDF2", false, ["deriveBits"]);
+    const bits = await subtle.deriveBits({ name: "PBKDF2", hash: "SHA-256", iterations: 1, salt }, key, length * 8);
+
+    return new Uint8Array(bits);
+}
+
+/**
+ * Mix a block of scrypt in place, through a table of n versions of it read back in a password-dependent order.
+ *
+ * @param {Uint8Array} block
+ * @param {number} n
+ * @param {number} r
+ */
+function scryptROMix(block, n, r) {
+    const wordCount = 32 * r;
+    const x = bytesToUint32Array(block);
+    const table = new Uint32Array(wordCount * n);
+    const scratch = new Uint32Array(wordCount);
+    const salsaBlock = new Uint32Array(16);
+
+    for (let i = 0; i < n; i++) {
+        table.set(x, i * wordCount);
+        scryptBlockMix(x, scratch, salsaBlock, r);
+    }
+
+    for (let i = 0; i < n; i++) {
+        // n is a power of 2, the low word is enough to take it modulo n
+        const j = x[(2 * r - 1) * 16] & (n - 1);
+        for (let k = 0; k < wordCount; k++) {
+            x[k] ^= table[j * wordCount + k];
+        }
+        scryptBlockMix(x, scratch, salsaBlock, r);
+    }
+
+    block.set(uint32ArrayToBytes(x));
+}
+
+/**
+ * @param {Uint32Array} block - mixed in place
+ * @param {Uint32Array} scratch - same length as the block
+ * @param {Uint32Array} salsaBlock - 16 words
+ * @param {number} r
+ */
+function scryptBlockMix(block, scratch, salsaBlock, r) {
+    salsaBlock.set(block.subarray((2 * r - 1) * 16, 2 * r * 16));
+
+    for (let i = 0; i < 2 * r; i++) {
+        for (let k = 0; k < 16; k++) {
+            salsaBlock[k] ^= block[i * 16 + k];
+        }
+        salsa208(salsaBlock);
+        scratch.set(salsaBlock, i * 16);
+    }
+
+    // the even blocks go first, then the odd ones
+    for (let i = 0; i < r; i++) {
+        block.set(scratch.subarray(2 * i * 16, (2 * i + 1) * 16), i * 16);
+        block.set(scratch.subarray((2 * i + 1) * 16, (2 * i + 2) * 16), (r + i) * 16);
+    }
+}
+
+/**
+ * The Salsa20/8 core, in place.
+ *
+ * @param {Uint32Array} b - 16 words
+ */
+function salsa208(b) {
+    let x0 = b[0],
+        x1 = b[1],
+        x2 = b[2],
+        x3 = b[3],
+        x4 = b[4],
+        x5 = b[5],
+        x6 = b[6],
+        x7 = b[7],
+        x8 = b[8],
+        x9 = b[9],
+        x10 = b[10],
+        x11 = b[11],
+        x12 = b[12],
+        x13 = b[13],
+        x14 = b[14],
+        x15 = b[15];
+
+    for (let i = 0; i < 8; i += 2) {
+        // columns
+        x4 ^= rotl32(x0 + x12, 7);
+        x8 ^= rotl32(x4 + x0, 9);
+        x12 ^= rotl32(x8 + x4, 13);
+        x0 ^= rotl32(x12 + x8, 18);
+        x9 ^= rotl32(x5 + x1, 7);
+        x13 ^= rotl32(x9 + x5, 9);
+        x1 ^= rotl32(x13 + x9, 13);
+        x5 ^= rotl32(x1 + x13, 18);
+        x14 ^= rotl32(x10 + x6, 7);
+        x2 ^= rotl32(x14 + x10, 9);
+        x6 ^= rotl32(x2 + x14, 13);
+        x10 ^= rotl32(x6 + x2, 18);
+        x3 ^= rotl32(x15 + x11, 7);
+        x7 ^= rotl32(x3 + x15, 9);
+        x11 ^= rotl32(x7 + x3, 13);
+        x15 ^= rotl32(x11 + x7, 18);
+
+        // rows
+        x1 ^= rotl32(x0 + x3, 7);
+        x2 ^= rotl32(x1 + x0, 9);
+        x3 ^= rotl32(x2 + x1, 13);
+        x0 ^= rotl32(x3 + x2, 18);
+        x6 ^= rotl32(x5 + x4, 7);
+        x7 ^= rotl32(x6 + x5, 9);
+        x4 ^= rotl32(x7 + x6, 13);
+        x5 ^= rotl32(x4 + x7, 18);
+        x11 ^= rotl32(x10 + x9, 7);
+        x8 ^= rotl32(x11 + x10, 9);
+        x9 ^= rotl32(x8 + x11, 13);
+        x10 ^= rotl32(x9 + x8, 18);
+        x12 ^= rotl32(x15 + x14, 7);
+        x13 ^= rotl32(x12 + x15, 9);
+        x14 ^= rotl32(x13 + x12, 13);
+        x15 ^= rotl32(x14 + x13, 18);
+    }
+
+    b[0] += x0;
+    b[1] += x1;
+    b[2] += x2;
+    b[3] += x3;
+    b[4] += x4;
+    b[5] += x5;
+    b[6] += x6;
+    b[7] += x7;
+    b[8] += x8;
+    b[9] += x9;
+    b[10] += x10;
+    b[11] += x11;
+    b[12] += x12;
+    b[13] += x13;
+    b[14] += x14;
+    b[15] += x15;
+}
+
+/**
+ * @param {number} value
+ * @param {number} bits
+ * @returns {number}
+ */
+function rotl32(value, bits) {
+    return (value << bits) | (value >>> (32 - bits));
+}
+
+/**
+ * Where the block at this index of the segment takes its reference block from, within the reference lane: somewhere in
+ * the blocks already computed, biased towards the most recent ones.
+ *
+ * @param {number} pass
+ * @param {number} slice
+ * @param {number} index
+ * @param {number} pseudoRandom - 32 bits
+ * @param {boolean} isSameLane
+ * @param {number} segmentLength
+ * @returns {number}
+ */
+function getArgon2ReferenceIndex(pass, slice, index, pseudoRandom, isSameLane, segmentLength) {
+    const laneLength = segmentLength * ARGON2_SYNC_POINTS;
+
+    let areaSize;
+    if (pass === 0) {
+        areaSize = slice * segmentLength + (isSameLane ? index - 1 : index === 0 ? -1 : 0);
+    } else {
+        areaSize = laneLength - segmentLength + (isSameLane ? index - 1 : index === 0 ? -1 : 0);
+    }
+
+    const relativePosition = areaSize - 1 - multiplyHigh(areaSize, multiplyHigh(pseudoRandom, pseudoRandom));
+    const startPosition = pass === 0 || slice === ARGON2_SYNC_POINTS - 1 ? 0 : (slice + 1) * segmentLength;
+
+    return (startPosition + relativePosition) % laneLength;
+}
+
+/**
+ * @param {number} a - 32 bits
+ * @param {number} b - 32 bits
+ * @returns {number} the high 32 bits of the 64-bit product
+ */
+function multiplyHigh(a, b) {
+    const aLow = a & 0xffff;
+    const aHigh = a >>> 16;
+    const bLow = b & 0xffff;
+    const bHigh = b >>> 16;
+    const crossLow = aLow * bHigh;
+    const crossHigh = aHigh * bLow;
+    const carry = (((aLow * bLow) >>> 16) + (crossLow & 0xffff) + (crossHigh & 0xffff)) >>> 16;
+
+    return aHigh * bHigh + (crossLow >>> 16) + (crossHigh >>> 16) + carry;
+}
+
+/**
+ * The compression function of Argon2: mix the previous and the reference blocks into the next one, XORed with its
+ * current content after the first pass.
+ *
+ * @param {Uint32Array} previous
+ * @param {Uint32Array} reference
+ * @param {Uint32Array} next
+ * @param {boolean} isXored
+ */
+function argon2Compress(previous, reference, next, isXored) {
+    const r = new Uint32Array(ARGON2_BLOCK_WORDS);
+    const result = new Uint32Array(ARGON2_BLOCK_WORDS);
+
+    for (let i = 0; i < ARGON2_BLOCK_WORDS; i++) {
+        r[i] = previous[i] ^ reference[i];
+        result[i] = isXored ? r[i] ^ next[i] : r[i];
+    }
+
+    ARGON2_PERMUTATIONS.forEach((words) => argon2Permute(r, words));
+
+    for (let i = 0; i < ARGON2_BLOCK_WORDS; i++) {
+        next[i] = result[i] ^ r[i];
+    }
+}
+
+/**
+ * A BLAKE2b round without message on 16 64-bit words of the block, with the multiplications of Argon2.
+ *
+ * @param {Uint32Array} v
+ * @param {number[]} w - the indexes of the 64-bit words
+ */
+function argon2Permute(v, w) {
+    argon2Mix(v, w[0], w[4], w[8], w[12]);
+    argon2Mix(v, w[1], w[5], w[9], w[13]);
+    argon2Mix(v, w[2], w[6], w[10], w[14]);
+    argon2Mix(v, w[3], w[7], w[11], w[15]);
+    argon2Mix(v, w[0], w[5], w[10], w[15]);
+    argon2Mix(v, w[1], w[6], w[11], w[12]);
+    argon2Mix(v, w[2], w[7], w[8], w[13]);
+    argon2Mix(v, w[3], w[4], w[9], w[14]);
+}
+
+/**
+ * @param {Uint32Array} v
+ * @param {number} a
+ * @param {number} b
+ * @param {number} c
+ * @param {number} d
+ */
+function argon2Mix(v, a, b, c, d) {
+    addMultiplied64(v, a, b);
+    xorRotateRight64(v, d, a, 32);
+    addMultiplied64(v, c, d);
+    xorRotateRight64(v, b, c, 24);
+    addMultiplied64(v, a, b);
+    xorRotateRight64(v, d, a, 16);
+    addMultiplied64(v, c, d);
+    xorRotateRight64(v, b, c, 63);
+}
+
+/**
+ * v[a] = v[a] + v[b] + 2 * low32(v[a]) * low32(v[b]), on 64-bit words
+ *
+ * @param {Uint32Array} v
+ * @param {number} a
+ * @param {number} b
+ */
+function addMultiplied64(v, a, b) {
+    const aLow = v[2 * a];
+    const bLow = v[2 * b];
+    const productLow = Math.imul(aLow, bLow) >>> 0;
+    const productHigh = multiplyHigh(aLow, bLow);
+
+    const low = aLow + bLow + ((productLow << 1) >>> 0);
+    v[2 * a] = low;
+    v[2 * a + 1] =
+        v[2 * a + 1] + v[2 * b + 1] + ((productHigh << 1) | (productLow >>> 31)) + Math.floor(low / 0x100000000);
+}
+
+/**
+ * v[a] = (v[a] ^ v[b]) rotated right, on 64-bit words
+ *
+ * @param {Uint32Array} v
+ * @param {number} a
+ * @param {number} b
+ * @param {number} bits - 16, 24, 32 or 63
+ */
+function xorRotateRight64(v, a, b, bits) {
+    const low = v[2 * a] ^ v[2 * b];
+    const high = v[2 * a + 1] ^ v[2 * b + 1];
+
+    if (bits === 32) {
+        v[2 * a] = high;
+        v[2 * a + 1] = low;
+    } else if (bits === 63) {
+        v[2 * a] = (low << 1) | (high >>> 31);
+        v[2 * a + 1] = (high << 1) | (low >>> 31);
+    } else {
+        v[2 * a] = (low >>> bits) | (high << (32 - bits));
+        v[2 * a + 1] = (high >>> bits) | (low << (32 - bits));
+    }
+}
+
+/**
+ * The variable-length hash of Argon2, built on BLAKE2b for outputs longer than 64 bytes.
+ *
+ * @param {Uint8Array} input
+ * @param {number} length
+ * @returns {Uint8Array}
+ */
+function argon2Hash(input, length) {
+    const prefixedInput = concatBytes([uint32ToBytes(length), input]);
+
+    if (length <= 64) {
+        return blake2b(prefixedInput, length);
+    }
+
+    const output = new Uint8Array(length);
+    let hash = blake2b(prefixedInput, 64);
+    let position = 0;
+
+    // each 64-byte hash contributes its first half, the last one is as long as what's left
+    while (length - position > 64) {
+        output.set(hash.subarray(0, 32), position);
+        position += 32;
+        hash = blake2b(hash, Math.min(64, length - position));
+    }
+    output.set(hash, position);
+
+    return output;
+}
+
+/**
+ * BLAKE2b (RFC 7693), without key.
+ *
+ * @param {Uint8Array} input
+ * @param {number} length - from 1 to 64 bytes
+ * @returns {Uint8Array}
+ */
+function blake2b(input, length) {
+    const h = BLAKE2B_IV.slice();
+    h[0] ^= 0x01010000 ^ length;
+
+    const block = new Uint8Array(128);
+    const blockCount = Math.max(1, Math.ceil(input.length / 128));
+
+    for (let i = 0; i < blockCount; i++) {
+        const chunk = input.subarray(i * 128, (i + 1) * 128);
+        block.fill(0);
+        block.set(chunk);
+
+        const isLast = i === blockCount - 1;
+        blake2bCompress(h, bytesToUint32Array(block), i * 128 + chunk.length, isLast);
+    }
+
+    return uint32ArrayToBytes(h).slice(0, length);
+}
+
+/**
+ * @param {Uint32Array} h - the state, 8 64-bit words
+ * @param {Uint32Array} m - the message block, 16 64-bit words
+ * @param {number} byteCount - the number of bytes hashed so far, including this block
+ * @param {boolean} isLast
+ */
+function blake2bCompress(h, m, byteCount, isLast) {
+    const v = new Uint32Array(32);
+    v.set(h);
+    v.set(BLAKE2B_IV, 16);
+    v[24] ^= byteCount;
+    v[25] ^= Math.floor(byteCount / 0x100000000);
+    if (isLast) {
+        v[28] = ~v[28];
+        v[29] = ~v[29];
+    }
+
+    for (let round = 0; round < 12; round++) {
+        const s = BLAKE2B_SIGMA[round];
+        blake2bMix(v, m, 0, 4, 8, 12, s[0], s[1]);
+        blake2bMix(v, m, 1, 5, 9, 13, s[2], s[3]);
+        blake2bMix(v, m, 2, 6, 10, 14, s[4], s[5]);
+        blake2bMix(v, m, 3, 7, 11, 15, s[6], s[7]);
+        blake2bMix(v, m, 0, 5, 10, 15, s[8], s[9]);
+        blake2bMix(v, m, 1, 6, 11, 12, s[10], s[11]);
+        blake2bMix(v, m, 2, 7, 8, 13, s[12], s[13]);
+        blake2bMix(v, m, 3, 4, 9, 14, s[14], s[15]);
+    }
+
+    for (let i = 0; i < 16; i++) {
+        h[i] ^= v[i] ^ v[i + 16];
+    }
+}
+
+/**
+ * @param {Uint32Array} v
+ * @param {Uint32Array} m
+ * @param {number} a
+ * @param {number} b
+ * @param {number} c
+ * @param {number} d
+ * @param {number} x - index of the first message word
+ * @param {number} y - index of the second message word
+ */
+function blake2bMix(v, m, a, b, c, d, x, y) {
+    add64(v, a, v, b);
+    add64(v, a, m, x);
+    xorRotateRight64(v, d, a, 32);
+    add64(v, c, v, d);
+    xorRotateRight64(v, b, c, 24);
+    add64(v, a, v, b);
+    add64(v, a, m, y);
+    xorRotateRight64(v, d, a, 16);
+    add64(v, c, v, d);
+    xorRotateRight64(v, b, c, 63);
+}
+
+/**
+ * v[a] += w[b], on 64-bit words
+ *
+ * @param {Uint32Array} v
+ * @param {number} a
+ * @param {Uint32Array} w
+ * @param {number} b
+ */
+function add64(v, a, w, b) {
+    const low = v[2 * a] + w[2 * b];
+    v[2 * a] = low;
+    v[2 * a + 1] = v[2 * a + 1] + w[2 * b + 1] + Math.floor(low / 0x100000000);
+}
+
+/**
+ * @param {Uint8Array[]} arrays
+ * @returns {Uint8Array}
+ */
+function concatBytes(arrays) {
+    const bytes = new Uint8Array(arrays.reduce((length, array) => length + array.length, 0));
+
+    let position = 0;
+    arrays.forEach((array) => {
+        bytes.set(array, position);
+        position += array.length;
+    });
+
+    return bytes;
+}
+
+/**
+ * @param {number} value
+ * @returns {Uint8Array} little-endian
+ */
+function uint32ToBytes(value) {
+    return uint32ArrayToBytes(new Uint32Array([value]));
+}
+
+/**
+ * @param {Uint8Array} bytes - little-endian, a multiple of 4 bytes long
+ * @returns {Uint32Array}
+ */
+function bytesToUint32Array(bytes) {
+    const words = new Uint32Array(bytes.length / 4);
+
+    for (let i = 0; i < words.length; i++) {
+        words[i] = bytes[4 * i] | (bytes[4 * i + 1] << 8) | (bytes[4 * i + 2] << 16) | (bytes[4 * i + 3] << 24);
+    }
+
+    return words;
+}
+
+/**
+ * @param {Uint32Array} words
+ * @returns {Uint8Array} little-endian
+ */
+function uint32ArrayToBytes(words) {
+    const bytes = new Uint8Array(words.length * 4);
+
+    for (let i = 0; i < words.length; i++) {
+        bytes[4 * i] = words[i];
+        bytes[4 * i + 1] = words[i] >>> 8;
+        bytes[4 * i + 2] = words[i] >>> 16;
+        bytes[4 * i + 3] = words[i] >>> 24;
+    }
+
+    return bytes;
+}
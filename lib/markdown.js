@@ -0,0 +1,546 @@
+/**
+ * A small, dependency-free Markdown renderer covering what pages usually need: headings, paragraphs, emphasis, links,
+ * images, code, blockquotes, lists, tables and horizontal rules. Raw HTML is kept as-is, so StatiCrypt markers
+ * (<!--staticrypt-start-->...) written in the Markdown end up in the rendered HTML.
+ */
+
+// block-level tags that start an HTML block, which is copied as-is until the next blank line
+const HTML_BLOCK_TAGS = (
+    "address article aside blockquote details dialog dd div dl dt fieldset figcaption figure footer form h1 h2 h3 h4 " +
+    "h5 h6 header hr iframe li main nav ol p pre script section staticrypt-section style summary table tbody td tfoot " +
+    "th thead tr ul"
+).split(" ");
+
+const FENCE_REGEX = /^ {0,3}(`{3,}|~{3,})\s*([^`\s]*)[^`]*$/;
+const ATX_HEADING_REGEX = /^ {0,3}(#{1,6})(?:[ \t]+(.*?))?(?:[ \t]+#+)?[ \t]*$/;
+const SETEXT_UNDERLINE_REGEX = /^ {0,3}(=+|-+)[ \t]*$/;
+const HORIZONTAL_RULE_REGEX = /^ {0,3}([-*_])(?:[ \t]*\1){2,}[ \t]*$/;
+const BLOCKQUOTE_REGEX = /^ {0,3}> ?/;
+const LIST_ITEM_REGEX = /^( {0,3})([*+-]|\d{1,9}[.)])( +|$)/;
+const TABLE_DELIMITER_REGEX = /^ *\|? *:?-+:? *(?:\| *:?-+:? *)*\|? *$/;
+const HTML_BLOCK_REGEX = new RegExp(`^ {0,3}(?:<!--|</?(?:${HTML_BLOCK_TAGS.join("|")})(?:[\\s/>]|$))`, "i");
+
+// placeholders of the inline content we protect from the emphasis regexes
+const PLACEHOLDER_REGEX = /\u0000(\d+)\u0000/g;
+
+/**
+ * @param {string} text
+ * @returns {string}
+ */
+function escapeHtml(text) {
+    return text
+        .replace(/&(?!#?\w+;)/g, "&amp;")
+        .replace(/</g, "&lt;")
+        .replace(/>/g, "&gt;")
+        .replace(/"/g, "&quot;");
+}
+exports.escapeHtml = escapeHtml;
+
+/**
+ * @param {string} markdown
+ * @returns {string} the rendered HTML
+ */
+function renderMarkdown(markdown) {
+    const lines = markdown
+        .replace(/\u0000/g, "")
+        .replace(/\r\n?/g, "\n")
+        .replace(/\t/g, "    ")
+        .split("\n");
+
+    return renderBlocks(lines, false).join("\n");
+}
+exports.renderMarkdown = renderMarkdown;
+
+/**
+ * @param {string} line
+ * @returns {boolean}
+ */
+function isBlank(line) {
+    return line.trim() === "";
+}
+
+/**
+ * Whether the line starts a block that interrupts a paragraph.
+ *
+ * @param {string} line
+ * @returns {boolean}
+ */
+function isBlockStart(line) {
+    return (
+        FENCE_REGEX.test(line) ||
+        ATX_HEADING_REGEX.test(line) ||
+        HORIZONTAL_RULE_REGEX.test(line) ||
+        BLOCKQUOTE_REGEX.test(line) ||
+        HTML_BLOCK_REGEX.test(line) ||
+        /^ {0,3}(?:[*+-]|1[.)]) +\S/.test(line)
+    );
+}
+
+/**
+ * @param {string[]} lines
+ * @param {boolean} isTight - whether paragraphs are rendered without <p>, in the items of a tight list
+ * @returns {string[]} the rendered blocks
+ */
+function renderBlocks(lines, isTight) {
+    const blocks = [];
+    let i = 0;
+
+    while (i < lines.length) {
+        const line = lines[i];
+
+        if (isBlank(line)) {
+            i++;
+            continue;
+        }
+
+        // fenced code block, up to the closing fence or the end of the document
+        const fenceMatch = line.match(FENCE_REGEX);
+        if (fenceMatch) {
+            const fence = fenceMatch[1];
+            const codeLines = [];
+
+            i++;
+            while (i < lines.length && !new RegExp(`^ {0,3}${fence[0]}{${fence.length},}\\s*$`).test(lines[i])) {
+                codeLines.push(lines[i++]);
+            }
+            i++;
+
+            const languageClass = fenceMatch[2] ? ` class="language-${escapeHtml(fenceMatch[2])}"` : "";
+            blocks.push(`<pre><code${languageClass}>${escapeHtml(codeLines.join("\n"))}\n</code></pre>`);
+            continue;
+        }
+
+        const headingMatch = line.match(ATX_HEADING_REGEX);
+        if (headingMatch) {
+            const level = headingMatch[1].length;
+
+            blocks.push(`<h${level}>${renderInline(headingMatch[2] || "")}</h${level}>`);
+            i++;
+            continue;
+        }
+
+        if (HORIZONTAL_RULE_REGEX.test(line)) {
+            blocks.push("<hr>");
+            i++;
+            continue;
+        }
+
+        // HTML block: a comment is copied up to its end, a block-level tag up to the next blank line
+        if (HTML_BLOCK_REGEX.test(line)) {
+            const htmlLines = [];
+            const isComment = line.trim().startsWith("<!--");
+
+            while (i < lines.length && (isComment || !isBlank(lines[i]))) {
+                htmlLines.push(lines[i++]);
+
+                if (isComment && htmlLines[htmlLines.length - 1].includes("-->")) {
+                    break;
+                }
+            }
+
+            blocks.push(htmlLines.join("\n"));
+            continue;
+        }
+
+        if (BLOCKQUOTE_REGEX.test(line)) {
+            const quoteLines = [];
+
+            while (i < lines.length && BLOCKQUOTE_REGEX.test(lines[i])) {
+                quoteLines.push(lines[i++].replace(BLOCKQUOTE_REGEX, ""));
+            }
+
+            blocks.push(`<blockquote>\n${renderBlocks(quoteLines, false).join("\n")}\n</blockquote>`);
+            continue;
+        }
+
+        if (LIST_ITEM_REGEX.test(line)) {
+            i = renderList(lines, i, blocks);
+            continue;
+        }
+
+        // indented code block
+        if (/^ {4}/.test(line)) {
+            const codeLines = [];
+
+            while (i < lines.length && (/^ {4}/.test(lines[i]) || isBlank(lines[i]))) {
+                codeLines.push(lines[i++].substring(4));
+            }
+            while (isBlank(codeLines[codeLines.length - 1])) {
+                codeLines.pop();
+            }
+
+            blocks.push(`<pre><code>${escapeHtml(codeLines.join("\n"))}\n</code></pre>`);
+            continue;
+        }
+
+        if (line.includes("|") && TABLE_DELIMITER_REGEX.test(lines[i + 1] || "")) {
+            i = renderTable(lines, i, blocks);
+            continue;
+        }
+
+        // paragraph, which can turn out to be a setext heading
+        const paragraphLines = [];
+        while (i < lines.length && !isBlank(lines[i]) && (paragraphLines.length === 0 || !isBlockStart(lines[i]))) {
+            const setextMatch = paragraphLines.length > 0 && lines[i].match(SETEXT_UNDERLINE_REGEX);
+
+            if (setextMatch) {
+                break;
+            }
+
+            paragraphLines.push(lines[i++].replace(/^\s+/, ""));
+        }
+
+        const setextMatch = i < lines.length && lines[i].match(SETEXT_UNDERLINE_REGEX);
+        const content = renderInline(paragraphLines.join("\n").trimEnd());
+
+        if (setextMatch) {
+            const level = setextMatch[1][0] === "=" ? 1 : 2;
+
+            blocks.push(`<h${level}>${content}</h${level}>`);
+            i++;
+        } else {
+            blocks.push(isTight ? content : `<p>${content}</p>`);
+        }
+    }
+
+    return blocks;
+}
+
+/**
+ * Render the list starting at the given line.
+ *
+ * @param {string[]} lines
+ * @param {number} start
+ * @param {string[]} blocks - the rendered list is added to it
+ * @returns {number} the index of the line after the list
+ */
+function renderList(lines, start, blocks) {
+    const firstMatch = lines[start].match(LIST_ITEM_REGEX);
+    const isOrdered = /\d/.test(firstMatch[2]);
+    const delimiter = firstMatch[2].slice(-1);
+    const items = [];
+    let isLoose = false;
+    let i = start;
+
+    // a different kind of marker starts a new list
+    const getItemMatch = (line) => {
+        const itemMatch = (line || "").match(LIST_ITEM_REGEX);
+        const isSameList = itemMatch && /\d/.test(itemMatch[2]) === isOrdered && itemMatch[2].slice(-1) === delimiter;
+
+        return isSameList ? itemMatch : null;
+    };
+
+    while (i < lines.length) {
+        const itemMatch = getItemMatch(lines[i]);
+
+        if (!itemMatch) {
+            break;
+        }
+
+        const contentIndent = itemMatch[0].length === lines[i].length ? itemMatch[1].length + 2 : itemMatch[0].length;
+        const itemLines = [lines[i].substring(itemMatch[0].length)];
+        i++;
+
+        // the item goes on with the indented lines, the blank lines between them and lazy paragraph continuations
+        while (i < lines.length) {
+            const line = lines[i];
+            const isIndented = line.startsWith(" ".repeat(contentIndent));
+
+            if (isBlank(line)) {
+                itemLines.push("");
+            } else if (isIndented) {
+                itemLines.push(line.substring(contentIndent));
+            } else if (
+                !isBlank(itemLines[itemLines.length - 1]) &&
+                !isBlockStart(line) &&
+                !LIST_ITEM_REGEX.test(line)
+            ) {
+                itemLines.push(line.trim());
+            } else {
+                break;
+            }
+
+            i++;
+        }
+
+        // blank lines between items, or between the blocks of an item, make the list loose
+        let trailingBlankLines = 0;
+        while (itemLines.length > 1 && isBlank(itemLines[itemLines.length - 1])) {
+            itemLines.pop();
+            trailingBlankLines++;
+        }
+
+        if ((trailingBlankLines > 0 && getItemMatch(lines[i])) || hasBlankLineBetweenBlocks(itemLines)) {
+            isLoose = true;
+        }
+
+        items.push({ itemLines, number: parseInt(itemMatch[2]) });
+    }
+
+    const tagName = isOrdered ? "ol" : "ul";
+    const startAttribute = isOrdered && items[0].number !== 1 ? ` start="${items[0].number}"` : "";
+    const renderedItems = items.map(({ itemLines }) => `<li>${renderBlocks(itemLines, !isLoose).join("\n")}</li>`);
+
+    blocks.push(`<${tagName}${startAttribute}>\n${renderedItems.join("\n")}\n</${tagName}>`);
+
+    return i;
+}
+
+/**
+ * @param {string[]} itemLines
+ * @returns {boolean}
+ */
+function hasBlankLineBetweenBlocks(itemLines) {
+    let isInFence = false;
+
+    return itemLines.some((line, index) => {
+        if (FENCE_REGEX.test(line)) {
+            isInFence = !isInFence;
+        }
+
+        // a blank line followed by a nested list doesn't count, it's the nested list's business
+        return !isInFence && isBlank(line) && index > 0 && !/^ /.test(itemLines[index + 1] || "");
+    });
+}
+
+/**
+ * Render the table starting at the given line: a header row, a delimiter row setting the alignments and body rows.
+ *
+ * @param {string[]} lines
+ * @param {number} start
+ * @param {string[]} blocks - the rendered table is added to it
+ * @returns {number} the index of the line after the table
+ */
+function renderTable(lines, start, blocks) {
+    const alignments = splitTableRow(lines[start + 1]).map((cell) => {
+        if (cell.startsWith(":") && cell.endsWith(":")) return "center";
+        if (cell.endsWith(":")) return "right";
+        if (cell.startsWith(":")) return "left";
+        return null;
+    });
+
+    const renderRow = (line, cellTag) => {
+        const cells = splitTableRow(line);
+        const renderedCells = alignments.map((alignment, index) => {
+            const alignAttribute = alignment ? ` style="text-align: ${alignment}"` : "";
+
+            return `<${cellTag}${alignAttribute}>${renderInline(cells[index] || "")}</${cellTag}>`;
+        });
+
+        return `<tr>${renderedCells.join("")}</tr>`;
+    };
+
+    const bodyRows = [];
+    let i = start + 2;
+    while (i < lines.length && !isBlank(lines[i]) && lines[i].includes("|") && !isBlockStart(lines[i])) {
+        bodyRows.push(renderRow(lines[i++], "td"));
+    }
+
+    const body = bodyRows.length > 0 ? `\n<tbody>\n${bodyRows.join("\n")}\n</tbody>` : "";
+    blocks.push(`<table>\n<thead>\n${renderRow(lines[start], "th")}\n</thead>${body}\n</table>`);
+
+    return i;
+}
+
+/**
+ * @param {string} line
+ * @returns {string[]}
+ */
+function splitTableRow(line) {
+    const cells = line
+        .trim()
+        .replace(/^\|/, "")
+        .replace(/(^|[^\\])\|$/, "$1")
+        .split(/(?<!\\)\|/);
+
+    return cells.map((cell) => cell.trim().replace(/\\\|/g, "|"));
+}
+
+/**
+ * Render the inline content of a block: code spans, raw HTML, links and images are rendered first and swapped with
+ * placeholders, so the emphasis markers are only looked for in the remaining text.
+ *
+ * @param {string} text
+ * @returns {string}
+ */
+function renderInline(text) {
+    const placeholders = [];
+    const protect = (html) => `\u0000${placeholders.push(html) - 1}\u0000`;
+
+    let output = "";
+    let i = 0;
+
+    while (i < text.length) {
+        const char = text[i];
+        const rest = text.substring(i);
+
+        // backslash escape, or hard line break at the end of a line
+        if (char === "\\") {
+            if (text[i + 1] === "\n") {
+                output += protect("<br>\n");
+                i += 2;
+                continue;
+            }
+
+            if (/[!-/:-@[-`{-~]/.test(text[i + 1] || "")) {
+                output += protect(escapeHtml(text[i + 1]));
+                i += 2;
+                continue;
+            }
+        }
+
+        if (char === "`") {
+            const backticks = rest.match(/^`+/)[0];
+            const closingIndex = findClosingBackticks(text, i + backticks.length, backticks.length);
+
+            if (closingIndex !== -1) {
+                const code = text
+                    .substring(i + backticks.length, closingIndex)
+                    .replace(/\n/g, " ")
+                    .replace(/^ (.*[^ ].*) $/, "$1");
+
+                output += protect(`<code>${escapeHtml(code)}</code>`);
+                i = closingIndex + backticks.length;
+                continue;
+            }
+
+            output += backticks;
+            i += backticks.length;
+            continue;
+        }
+
+        if (char === "<") {
+            const autolinkMatch = rest.match(
+                /^<([a-zA-Z][\w+.-]{1,31}:[^\s<>]*|[\w.!#$%&'*+/=?^`{|}~-]+@[\w-]+(?:\.[\w-]+)+)>/
+            );
+            if (autolinkMatch) {
+                const target = autolinkMatch[1];
+                const href = /^[a-zA-Z][\w+.-]*:/.test(target) ? target : `mailto:${target}`;
+
+                output += protect(`<a href="${escapeHtml(href)}">${escapeHtml(target)}</a>`);
+                i += autolinkMatch[0].length;
+                continue;
+            }
+
+            const htmlMatch = rest.match(
+                /^(?:<!--[\s\S]*?-->|<\/?[a-zA-Z][\w-]*(?:\s+[\w:.-]+(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s"'=<>`]+))?)*\s*\/?>)/
+            );
+            if (htmlMatch) {
+                output += protect(htmlMatch[0]);
+                i += htmlMatch[0].length;
+                continue;
+            }
+        }
+
+        if (char === "[" || (char === "!" && text[i + 1] === "[")) {
+            const link = parseLink(text, char === "!" ? i + 1 : i);
+
+            if (link) {
+                const titleAttribute = link.title !== null ? ` title="${escapeHtml(link.title)}"` : "";
+                const href = escapeHtml(link.destination);
+
+                if (char === "!") {
+                    const alt = escapeHtml(stripTags(renderInline(link.text)));
+
+                    output += protect(`<img src="${href}" alt="${alt}"${titleAttribute}>`);
+                } else {
+                    output += protect(`<a href="${href}"${titleAttribute}>${renderInline(link.text)}</a>`);
+                }
+                i = link.end;
+                continue;
+            }
+        }
+
+        // hard line break: two spaces at the end of a line
+        if (char === "\n" && / {2,}$/.test(output)) {
+            output = output.replace(/ +$/, "") + protect("<br>\n");
+            i++;
+            continue;
+        }
+
+        output += char;
+        i++;
+    }
+
+    return escapeHtml(output.replace(/ +\n/g, "\n"))
+        .replace(/(\*\*|__)(?=\S)([\s\S]*?\S)\1/g, "<strong>$2</strong>")
+        .replace(/\*(?=\S)([\s\S]*?\S)\*/g, "<em>$1</em>")
+        .replace(/(^|[^\w])_(?=\S)([\s\S]*?\S)_(?!\w)/g, "$1<em>$2</em>")
+        .replace(/~~(?=\S)([\s\S]*?\S)~~/g, "<del>$1</del>")
+        .replace(PLACEHOLDER_REGEX, (match, index) => placeholders[index]);
+}
+
+/**
+ * @param {string} text
+ * @param {number} from
+ * @param {number} length
+ * @returns {number} the index of the closing run of backticks with the same length, or -1
+ */
+function findClosingBackticks(text, from, length) {
+    const backticksRegex = /`+/g;
+    backticksRegex.lastIndex = from;
+
+    let match;
+    while ((match = backticksRegex.exec(text))) {
+        if (match[0].length === length) {
+            return match.index;
+        }
+    }
+
+    return -1;
+}
+
+/**
+ * Parse a link or image starting at the opening bracket: [text](destination "title").
+ *
+ * @param {string} text
+ * @param {number} start
+ * @returns {{text: string, destination: string, title: string|null, end: number}|null}
+ */
+function parseLink(text, start) {
+    let depth = 0;
+    let i = start;
+
+    // find the matching closing bracket, skipping escaped brackets
+    for (; i < text.length; i++) {
+        if (text[i] === "\\") {
+            i++;
+        } else if (text[i] === "[") {
+            depth++;
+        } else if (text[i] === "]" && --depth === 0) {
+            break;
+        }
+    }
+
+    if (depth !== 0 || text[i + 1] !== "(") {
+        return null;
+    }
+
+    const destinationMatch = text
+        .substring(i + 2)
+        .match(
+            /^\s*(?:<([^<>\n]*)>|((?:[^\s()\\]|\\.|\((?:[^\s()\\]|\\.)*\))*))(?:\s+("(?:[^"\\]|\\.)*"|'(?:[^'\\]|\\.)*'))?\s*\)/
+        );
+
+    if (!destinationMatch) {
+        return null;
+    }
+
+    const unescape = (value) => value.replace(/\\([!-/:-@[-`{-~])/g, "$1");
+
+    return {
+        text: text.substring(start + 1, i),
+        destination: unescape(destinationMatch[1] !== undefined ? destinationMatch[1] : destinationMatch[2]),
+        title: destinationMatch[3] ? unescape(destinationMatch[3].slice(1, -1)) : null,
+        end: i + 2 + destinationMatch[0].length,
+    };
+}
+
+/**
+ * @param {string} html
+ * @returns {string}
+ */
+function stripTags(html) {
+    return html.replace(/<[^>]*>/g, "");
+}
+exports.stripTags = stripTags;
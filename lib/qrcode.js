@@ -0,0 +1,633 @@
+/**
+ * QR code encoder, so share links can be printed without a dependency or a network call. The text is encoded in byte
+ * mode with the medium (M) error correction level, in the smallest version that fits, following ISO/IEC 18004.
+ */
+const zlib = require("zlib");
+
+const { InvalidOptionError } = require("./errors.js");
+
+// error correction codewords per block and number of blocks of each version at the M level, indexed by version
+const ECC_CODEWORDS_PER_BLOCK = [
+    -1, 10, 16, 26, 18, 24, 16, 18, 22, 22, 26, 30, 22, 22, 24, 24, 28, 28, 26, 26, 26, 26, 28, 28, 28, 28, 28, 28, 28,
+    28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28,
+];
+const ERROR_CORRECTION_BLOCKS = [
+    -1, 1, 1, 1, 2, 2, 4, 4, 4, 5, 5, 5, 8, 9, 9, 10, 10, 11, 13, 14, 16, 17, 17, 18, 20, 21, 23, 25, 26, 28, 29, 31,
+    33, 35, 37, 38, 40, 43, 45, 47, 49,
+];
+// the M level is 00 in the format information
+const ECC_LEVEL_FORMAT_BITS = 0;
+const BYTE_MODE_INDICATOR = 0b0100;
+const MIN_VERSION = 1;
+const MAX_VERSION = 40;
+// the light margin around the code, in modules
+const QUIET_ZONE_SIZE = 4;
+
+/**
+ * @typedef {{size: number, modules: boolean[][]}} QrCode - modules[y][x] is true for dark modules
+ */
+
+/**
+ * @param {string} text
+ * @returns {QrCode}
+ */
+function encodeQrCode(text) {
+    const bytes = Array.from(new TextEncoder().encode(text));
+
+    let version = MIN_VERSION;
+    while (getBitsNeeded(bytes.length, version) > getDataCodewordCount(version) * 8) {
+        if (version === MAX_VERSION) {
+            const maxByteCount = Math.floor(
+                (getDataCodewordCount(MAX_VERSION) * 8 - getBitsNeeded(0, MAX_VERSION)) / 8
+            );
+
+            throw new InvalidOptionError(
+                `the text is ${bytes.length} bytes long, a QR code holds at most ${maxByteCount} bytes.`
+            );
+        }
+        version++;
+    }
+
+    const size = version * 4 + 17;
+    const modules = Array.from({ length: size }, () => new Array(size).fill(false));
+    const isFunction = Array.from({ length: size }, () => new Array(size).fill(false));
+
+    const setFunctionModule = (x, y, isDark) => {
+        modules[y][x] = isDark;
+        isFunction[y][x] = true;
+    };
+
+    drawFunctionPatterns(version, size, setFunctionModule);
+    drawCodewords(addErrorCorrection(getDataCodewords(bytes, version), version), size, modules, isFunction);
+
+    // keep the mask that makes the code the easiest to scan
+    let bestMask = 0;
+    let minPenalty = Infinity;
+    for (let mask = 0; mask < 8; mask++) {
+        applyMask(mask, size, modules, isFunction);
+        drawFormatBits(mask, size, setFunctionModule);
+
+        const penalty = getPenaltyScore(size, modules);
+        if (penalty < minPenalty) {
+            bestMask = mask;
+            minPenalty = penalty;
+        }
+
+        // masks are a XOR, applying one again removes it
+        applyMask(mask, size, modules, isFunction);
+    }
+
+    applyMask(bestMask, size, modules, isFunction);
+    drawFormatBits(bestMask, size, setFunctionModule);
+
+    return { size, modules };
+}
+exports.encodeQrCode = encodeQrCode;
+
+/**
+ * @param {QrCode} qrCode
+ * @returns {string} an SVG image with one unit per module
+ */
+function renderQrCodeSvg(qrCode) {
+    const imageSize = qrCode.size + QUIET_ZONE_SIZE * 2;
+    const path = [];
+
+    qrCode.modules.forEach((row, y) => {
+        row.forEach((isDark, x) => {
+            if (isDark) {
+                path.push(`M${x + QUIET_ZONE_SIZE},${y + QUIET_ZONE_SIZE}h1v1h-1z`);
+            }
+        });
+    });
+
+    return (
+        `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${imageSize} ${imageSize}" shape-rendering="crispEdges">\n` +
+        `<rect width="100%" height="100%" fill="#ffffff"/>\n` +
+        `<path d="${path.join("")}" fill="#000000"/>\n` +
+        `</svg>\n`
+    );
+}
+exports.renderQrCodeSvg = renderQrCodeSvg;
+
+/**
+ * @param {QrCode} qrCode
+ * @param {number} scale - the size of a module, in pixels
+ * @returns {Buffer} a grayscale PNG image
+ */
+function renderQrCodePng(qrCode, scale = 8) {
+    const imageSize = (qrCode.size + QUIET_ZONE_SIZE * 2) * scale;
+
+    // each row of pixels starts with its filter type, 0 for none
+    const pixels = Buffer.alloc((imageSize + 1) * imageSize);
+    for (let y = 0; y < imageSize; y++) {
+        const moduleY = Math.floor(y / scale) - QUIET_ZONE_SIZE;
+
+        for (let x = 0; x < imageSize; x++) {
+            const moduleX = Math.floor(x / scale) - QUIET_ZONE_SIZE;
+            const isDark = qrCode.modules[moduleY] !== undefined && qrCode.modules[moduleY][moduleX] === true;
+
+            pixels[y * (imageSize + 1) + 1 + x] = isDark ? 0x00 : 0xff;
+        }
+    }
+
+    const header = Buffer.alloc(13);
+    header.writeUInt32BE(imageSize, 0);
+    header.writeUInt32BE(imageSize, 4);
+    // 8 bits per pixel, grayscale, default compression, filtering and no interlacing
+    header.set([8, 0, 0, 0, 0], 8);
+
+    return Buffer.concat([
+        Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+        getPngChunk("IHDR", header),
+        getPngChunk("IDAT", zlib.deflateSync(pixels)),
+        getPngChunk("IEND", Buffer.alloc(0)),
+    ]);
+}
+exports.renderQrCodePng = renderQrCodePng;
+
+/**
+ * @param {number} byteCount
+ * @param {number} version
+ * @returns {number}
+ */
+function getBitsNeeded(byteCount, version) {
+    return 4 + getCharacterCountBits(version) + byteCount * 8;
+}
+
+/**
+ * @param {number} version
+ * @returns {number} the size of the character count in byte mode
+ */
+function getCharacterCountBits(version) {
+    return version < 10 ? 8 : 16;
+}
+
+/**
+ * @param {number} version
+ * @returns {number} the number of modules that hold data or error correction, once the function patterns are drawn
+ */
+function getRawDataModuleCount(version) {
+    let count = (16 * version + 128) * version + 64;
+
+    if (version >= 2) {
+        const alignmentCount = Math.floor(version / 7) + 2;
+        count -= (25 * alignmentCount - 10) * alignmentCount - 55;
+
+        if (version >= 7) {
+            count -= 36;
+        }
+    }
+
+    return count;
+}
+
+/**
+ * @param {number} version
+ * @returns {number}
+ */
+function getDataCodewordCount(version) {
+    return (
+        Math.floor(getRawDataModuleCount(version) / 8) -
+        ECC_CODEWORDS_PER_BLOCK[version] * ERROR_CORRECTION_BLOCKS[version]
+    );
+}
+
+/**
+ * @param {number[]} bytes
+ * @param {number} version
+ * @returns {number[]} the mode, character count, bytes and padding, as codewords
+ */
+function getDataCodewords(bytes, version) {
+    const capacity = getDataCodewordCount(version) * 8;
+    const bits = [];
+    const appendBits = (value, length) => {
+        for (let i = length - 1; i >= 0; i--) {
+            bits.push((value >>> i) & 1);
+        }
+    };
+
+    appendBits(BYTE_MODE_INDICATOR, 4);
+    appendBits(bytes.length, getCharacterCountBits(version));
+    bytes.forEach((byte) => appendBits(byte, 8));
+
+    // terminator, then zeros up to a byte boundary, then alternating pad bytes
+    appendBits(0, Math.min(4, capacity - bits.length));
+    appendBits(0, (8 - (bits.length % 8)) % 8);
+    for (let padByte = 0xec; bits.length < capacity; padByte ^= 0xec ^ 0x11) {
+        appendBits(padByte, 8);
+    }
+
+    const codewords = [];
+    for (let i = 0; i < bits.length; i += 8) {
+        codewords.push(bits.slice(i, i + 8).reduce((byte, bit) => (byte << 1) | bit, 0));
+    }
+
+    return codewords;
+}
+
+/**
+ * Split the data in blocks, add the error correction codewords of each block, and interleave the blocks.
+ *
+ * @param {number[]} data
+ * @param {number} version
+ * @returns {number[]}
+ */
+function addErrorCorrection(data, version) {
+    const blockCount = ERROR_CORRECTION_BLOCKS[version];
+    const blockEccLength = ECC_CODEWORDS_PER_BLOCK[version];
+    const rawCodewordCount = Math.floor(getRawDataModuleCount(version) / 8);
+    const shortBlockCount = blockCount - (rawCodewordCount % blockCount);
+    const shortBlockLength = Math.floor(rawCodewordCount / blockCount);
+    const divisor = getReedSolomonDivisor(blockEccLength);
+
+    const blocks = [];
+    for (let i = 0, start = 0; i < blockCount; i++) {
+        const blockData = data.slice(start, start + shortBlockLength - blockEccLength + (i < shortBlockCount ? 0 : 1));
+        start += blockData.length;
+
+        const ecc = getReedSolomonRemainder(blockData, divisor);
+
+        // short blocks get a placeholder, so all blocks can be read column by column
+        if (i < shortBlockCount) {
+            blockData.push(0);
+        }
+        blocks.push(blockData.concat(ecc));
+    }
+
+    const codewords = [];
+    for (let i = 0; i < blocks[0].length; i++) {
+        blocks.forEach((block, j) => {
+            if (i !== shortBlockLength - blockEccLength || j >= shortBlockCount) {
+                codewords.push(block[i]);
+            }
+        });
+    }
+
+    return codewords;
+}
+
+/**
+ * @param {number} degree
+ * @returns {number[]} the coefficients of the generator polynomial, without the leading 1
+ */
+function getReedSolomonDivisor(degree) {
+    const divisor = new Array(degree - 1).fill(0).concat([1]);
+
+    let root = 1;
+    for (let i = 0; i < degree; i++) {
+        for (let j = 0; j < divisor.length; j++) {
+            divisor[j] = multiplyInGaloisField(divisor[j], root);
+
+            if (j + 1 < divisor.length) {
+                divisor[j] ^= divisor[j + 1];
+            }
+        }
+        root = multiplyInGaloisField(root, 0x02);
+    }
+
+    return divisor;
+}
+
+/**
+ * @param {number[]} data
+ * @param {number[]} divisor
+ * @returns {number[]}
+ */
+function getReedSolomonRemainder(data, divisor) {
+    const remainder = divisor.map(() => 0);
+
+    data.forEach((byte) => {
+        const factor = byte ^ remainder.shift();
+        remainder.push(0);
+        divisor.forEach((coefficient, i) => {
+            remainder[i] ^= multiplyInGaloisField(coefficient, factor);
+        });
+    });
+
+    return remainder;
+}
+
+/**
+ * @param {number} x
+ * @param {number} y
+ * @returns {number} the product in GF(2^8) modulo x^8 + x^4 + x^3 + x^2 + 1
+ */
+function multiplyInGaloisField(x, y) {
+    let product = 0;
+
+    for (let i = 7; i >= 0; i--) {
+        product = (product << 1) ^ ((product >>> 7) * 0x11d);
+        product ^= ((y >>> i) & 1) * x;
+    }
+
+    return product;
+}
+
+/**
+ * Draw the finder, alignment and timing patterns and the version information, and reserve the format information.
+ *
+ * @param {number} version
+ * @param {number} size
+ * @param {(x: number, y: number, isDark: boolean) => void} setFunctionModule
+ */
+function drawFunctionPatterns(version, size, setFunctionModule) {
+    for (let i = 0; i < size; i++) {
+        setFunctionModule(6, i, i % 2 === 0);
+        setFunctionModule(i, 6, i % 2 === 0);
+    }
+
+    // finder patterns in three corners, with their light separators
+    [
+        [3, 3],
+        [size - 4, 3],
+        [3, size - 4],
+    ].forEach(([centerX, centerY]) => {
+        for (let dy = -4; dy <= 4; dy++) {
+            for (let dx = -4; dx <= 4; dx++) {
+                const distance = Math.max(Math.abs(dx), Math.abs(dy));
+                const x = centerX + dx;
+                const y = centerY + dy;
+
+                if (x >= 0 && x < size && y >= 0 && y < size) {
+                    setFunctionModule(x, y, distance !== 2 && distance !== 4);
+                }
+            }
+        }
+    });
+
+    // alignment patterns everywhere on the grid of positions, except over the finder patterns
+    const positions = getAlignmentPatternPositions(version, size);
+    const lastIndex = positions.length - 1;
+    positions.forEach((centerX, i) => {
+        positions.forEach((centerY, j) => {
+            if ((i === 0 && j === 0) || (i === 0 && j === lastIndex) || (i === lastIndex && j === 0)) {
+                return;
+            }
+
+            for (let dy = -2; dy <= 2; dy++) {
+                for (let dx = -2; dx <= 2; dx++) {
+                    setFunctionModule(centerX + dx, centerY + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+                }
+            }
+        });
+    });
+
+    // the mask isn't known yet, this only reserves the format information modules
+    drawFormatBits(0, size, setFunctionModule);
+
+    if (version >= 7) {
+        let remainder = version;
+        for (let i = 0; i < 12; i++) {
+            remainder = (remainder << 1) ^ ((remainder >>> 11) * 0x1f25);
+        }
+        const bits = (version << 12) | remainder;
+
+        for (let i = 0; i < 18; i++) {
+            const isDark = ((bits >>> i) & 1) === 1;
+            const a = size - 11 + (i % 3);
+            const b = Math.floor(i / 3);
+
+            setFunctionModule(a, b, isDark);
+            setFunctionModule(b, a, isDark);
+        }
+    }
+}
+
+/**
+ * @param {number} version
+ * @param {number} size
+ * @returns {number[]} the coordinates of the alignment pattern centers, on both axes
+ */
+function getAlignmentPatternPositions(version, size) {
+    if (version === 1) {
+        return [];
+    }
+
+    const count = Math.floor(version / 7) + 2;
+    const step = Math.floor((version * 8 + count * 3 + 5) / (count * 4 - 4)) * 2;
+    const positions = [6];
+    for (let position = size - 7; positions.length < count; position -= step) {
+        positions.splice(1, 0, position);
+    }
+
+    return positions;
+}
+
+/**
+ * Draw the two copies of the error correction level and mask, and the dark module.
+ *
+ * @param {number} mask
+ * @param {number} size
+ * @param {(x: number, y: number, isDark: boolean) => void} setFunctionModule
+ */
+function drawFormatBits(mask, size, setFunctionModule) {
+    const data = (ECC_LEVEL_FORMAT_BITS << 3) | mask;
+    let remainder = data;
+    for (let i = 0; i < 10; i++) {
+        remainder = (remainder << 1) ^ ((remainder >>> 9) * 0x537);
+    }
+    const bits = ((data << 10) | remainder) ^ 0x5412;
+    const getBit = (i) => ((bits >>> i) & 1) === 1;
+
+    // around the top left finder pattern
+    for (let i = 0; i <= 5; i++) {
+        setFunctionModule(8, i, getBit(i));
+    }
+    setFunctionModule(8, 7, getBit(6));
+    setFunctionModule(8, 8, getBit(7));
+    setFunctionModule(7, 8, getBit(8));
+    for (let i = 9; i < 15; i++) {
+        setFunctionModule(14 - i, 8, getBit(i));
+    }
+
+    // split between the two other finder patterns
+    for (let i = 0; i < 8; i++) {
+        setFunctionModule(size - 1 - i, 8, getBit(i));
+    }
+    for (let i = 8; i < 15; i++) {
+        setFunctionModule(8, size - 15 + i, getBit(i));
+    }
+    setFunctionModule(8, size - 8, true);
+}
+
+/**
+ * Fill the modules that aren't function patterns with the codewords, in two-module-wide columns zigzagging from the
+ * bottom right corner.
+ *
+ * @param {number[]} codewords
+ * @param {number} size
+ * @param {boolean[][]} modules
+ * @param {boolean[][]} isFunction
+ */
+function drawCodewords(codewords, size, modules, isFunction) {
+    let bitIndex = 0;
+
+    for (let right = size - 1; right >= 1; right -= 2) {
+        // the vertical timing pattern is skipped
+        if (right === 6) {
+            right = 5;
+        }
+
+        const isUpward = ((right + 1) & 2) === 0;
+        for (let vertical = 0; vertical < size; vertical++) {
+            for (let j = 0; j < 2; j++) {
+                const x = right - j;
+                const y = isUpward ? size - 1 - vertical : vertical;
+
+                if (!isFunction[y][x] && bitIndex < codewords.length * 8) {
+                    modules[y][x] = ((codewords[bitIndex >>> 3] >>> (7 - (bitIndex & 7))) & 1) === 1;
+                    bitIndex++;
+                }
+            }
+        }
+    }
+}
+
+/**
+ * @param {number} mask
+ * @param {number} size
+ * @param {boolean[][]} modules
+ * @param {boolean[][]} isFunction
+ */
+function applyMask(mask, size, modules, isFunction) {
+    const conditions = [
+        (x, y) => (x + y) % 2 === 0,
+        (x, y) => y % 2 === 0,
+        (x) => x % 3 === 0,
+        (x, y) => (x + y) % 3 === 0,
+        (x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0,
+        (x, y) => ((x * y) % 2) + ((x * y) % 3) === 0,
+        (x, y) => (((x * y) % 2) + ((x * y) % 3)) % 2 === 0,
+        (x, y) => (((x + y) % 2) + ((x * y) % 3)) % 2 === 0,
+    ];
+
+    for (let y = 0; y < size; y++) {
+        for (let x = 0; x < size; x++) {
+            if (!isFunction[y][x] && conditions[mask](x, y)) {
+                modules[y][x] = !modules[y][x];
+            }
+        }
+    }
+}
+
+/**
+ * Score how hard the code is to scan: long runs of a color, 2x2 blocks, patterns looking like finder patterns and
+ * unbalanced dark and light modules are penalized.
+ *
+ * @param {number} size
+ * @param {boolean[][]} modules
+ * @returns {number}
+ */
+function getPenaltyScore(size, modules) {
+    let penalty = 0;
+
+    const lines = [];
+    for (let i = 0; i < size; i++) {
+        lines.push(modules[i]);
+        lines.push(modules.map((row) => row[i]));
+    }
+
+    lines.forEach((line) => {
+        let runColor = false;
+        let runLength = 0;
+        // the lengths of the last seven runs, the line starts after a light border
+        const runHistory = new Array(7).fill(0);
+        const addRun = (length) => {
+            runHistory.pop();
+            runHistory.unshift(runHistory[0] === 0 ? length + size : length);
+        };
+        const countFinderPatterns = () => {
+            const n = runHistory[1];
+            const isCore =
+                n > 0 && runHistory[2] === n && runHistory[3] === n * 3 && runHistory[4] === n && runHistory[5] === n;
+
+            return (
+                (isCore && runHistory[0] >= n * 4 && runHistory[6] >= n ? 1 : 0) +
+                (isCore && runHistory[6] >= n * 4 && runHistory[0] >= n ? 1 : 0)
+            );
+        };
+
+        line.forEach((isDark) => {
+            if (isDark === runColor) {
+                runLength++;
+                if (runLength === 5) {
+                    penalty += 3;
+                } else if (runLength > 5) {
+                    penalty++;
+                }
+            } else {
+                addRun(runLength);
+                if (!runColor) {
+                    penalty += countFinderPatterns() * 40;
+                }
+                runColor = isDark;
+                runLength = 1;
+            }
+        });
+
+        // the line ends with a light border
+        if (runColor) {
+            addRun(runLength);
+            runLength = 0;
+        }
+        addRun(runLength + size);
+        penalty += countFinderPatterns() * 40;
+    });
+
+    for (let y = 0; y < size - 1; y++) {
+        for (let x = 0; x < size - 1; x++) {
+            const isDark = modules[y][x];
+
+            if (isDark === modules[y][x + 1] && isDark === modules[y + 1][x] && isDark === modules[y + 1][x + 1]) {
+                penalty += 3;
+            }
+        }
+    }
+
+    const darkCount = modules.reduce((count, row) => count + row.filter(Boolean).length, 0);
+    const total = size * size;
+    penalty += (Math.ceil(Math.abs(darkCount * 20 - total * 10) / total) - 1) * 10;
+
+    return penalty;
+}
+
+/**
+ * @param {string} type
+ * @param {Buffer} data
+ * @returns {Buffer}
+ */
+function getPngChunk(type, data) {
+    const typeAndData = Buffer.concat([Buffer.from(type, "ascii"), data]);
+    const chunk = Buffer.alloc(typeAndData.length + 8);
+
+    chunk.writeUInt32BE(data.length, 0);
+    typeAndData.copy(chunk, 4);
+    chunk.writeUInt32BE(getCrc32(typeAndData), typeAndData.length + 4);
+
+    return chunk;
+}
+
+let crc32Table;
+
+/**
+ * @param {Buffer} bytes
+ * @returns {number}
+ */
+function getCrc32(bytes) {
+    if (!crc32Table) {
+        crc32Table = Array.from({ length: 256 }, (_, n) => {
+            let c = n;
+            for (let k = 0; k < 8; k++) {
+                c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+            }
+            return c >>> 0;
+        });
+    }
+
+    let crc = 0xffffffff;
+    for (const byte of bytes) {
+        crc = crc32Table[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+    }
+
+    return (crc ^ 0xffffffff) >>> 0;
+}
@@ -1,137 +1,66 @@
-// Initialize the staticrypt module
-const staticrypt = (function() {
+// Section runtime: wires the placeholders and password modal injected by the CLI to the staticrypt engine. The engine
+// is inlined when building the runtime - the template format is '/*[|variable_name|]*/0'
+const staticrypt = (function () {
+    const staticryptInitiator = /*[|js_staticrypt|]*/ 0;
     const exports = {};
-    
-    // Crypto engine implementation
-    const cryptoEngine = (function() {
-        const exports = {};
-        const { subtle } = crypto;
-        
-        const IV_BITS = 16 * 8;
-        const HEX_BITS = 4;
-        const ENCRYPTION_ALGO = "AES-CBC";
-        
-        // Hex encoder/decoder
-        const HexEncoder = {
-            parse: function(hexString) {
-                if (hexString.length % 2 !== 0) throw "Invalid hexString";
-                const arrayBuffer = new Uint8Array(hexString.length / 2);
-                for (let i = 0; i < hexString.length; i += 2) {
-                    const byteValue = parseInt(hexString.substring(i, i + 2), 16);
-                    if (isNaN(byteValue)) throw "Invalid hexString";
-                    arrayBuffer[i / 2] = byteValue;
-                }
-                return arrayBuffer;
-            },
-            stringify: function(bytes) {
-                return Array.from(bytes)
-                    .map(b => b.toString(16).padStart(2, '0'))
-                    .join('');
-            }
-        };
-        
-        // UTF8 encoder/decoder
-        const UTF8Encoder = {
-            parse: str => new TextEncoder().encode(str),
-            stringify: bytes => new TextDecoder().decode(bytes)
-        };
-        
-        // Encrypt function
-        async function encrypt(msg, hashedPassword) {
-            const iv = crypto.getRandomValues(new Uint8Array(IV_BITS / 8));
-            const key = await subtle.importKey(
-                "raw",
-                HexEncoder.parse(hashedPassword),
-                ENCRYPTION_ALGO,
-                false,
-                ["encrypt"]
-            );
-            
-            const encrypted = await subtle.encrypt(
-                { name: ENCRYPTION_ALGO, iv },
-                key,
-                UTF8Encoder.parse(msg)
-            );
-            
-            return HexEncoder.stringify(iv) + HexEncoder.stringify(new Uint8Array(encrypted));
-        }
-        
-        // Decrypt function
-        async function decrypt(encryptedMsg, hashedPassword) {
-            const ivLength = IV_BITS / HEX_BITS;
-            const iv = HexEncoder.parse(encryptedMsg.substring(0, ivLength));
-            const encrypted = encryptedMsg.substring(ivLength);
-            
-            const key = await subtle.importKey(
-                "raw",
-                HexEncoder.parse(hashedPassword),
-                ENCRYPTION_ALGO,
-                false,
-                ["decrypt"]
-            );
-            
-            const decrypted = await subtle.decrypt(
-                { name: ENCRYPTION_ALGO, iv },
-                key,
-                HexEncoder.parse(encrypted)
-            );
-            
-            return UTF8Encoder.stringify(new Uint8Array(decrypted));
-        }
-        
-        // Hash password
-        async function hashPassword(password, salt) {
-            const key = await subtle.importKey(
-                "raw",
-                UTF8Encoder.parse(password),
-                "PBKDF2",
-                false,
-                ["deriveBits"]
-            );
-            
-            const keyBytes = await subtle.deriveBits(
-                {
-                    name: "PBKDF2",
-                    hash: "SHA-256",
-                    salt: UTF8Encoder.parse(salt),
-                    iterations: 600000
-                },
-                key,
-                256
-            );
-            
-            return HexEncoder.stringify(new Uint8Array(keyBytes));
-        }
-        
-        exports.encrypt = encrypt;
-        exports.decrypt = decrypt;
-        exports.hashPassword = hashPassword;
-        return exports;
-    })();
 
-    // Store decrypted sections and their passwords
-    const decryptedSections = new Map();
-    
+    // you can edit these values to customize some of the behavior of StatiCrypt
+    const templateConfig = {
+        rememberExpirationKey: "staticrypt_expiration",
+        rememberPassphraseKey: "staticrypt_passphrase",
+        replaceHtmlCallback: null,
+        clearLocalStorageCallback: null,
+    };
+
+    let engine = null;
+    let messages = {};
+
+    /**
+     * @param {string} sectionId
+     * @returns {string} the access group the section belongs to
+     */
+    function getSectionGroup(sectionId) {
+        const placeholder = document.querySelector(`[data-staticrypt-id="${sectionId}"]`);
+
+        return (placeholder && placeholder.dataset.staticryptGroup) || staticryptInitiator.DEFAULT_GROUP;
+    }
+
+    /**
+     * @param {HTMLElement} modal
+     */
+    function closeModal(modal) {
+        modal.style.display = "none";
+        modal.querySelector("#staticrypt-modal-password").value = "";
+    }
+
     // Initialize modal and event handlers
     function initializeModal() {
-        const modal = document.getElementById('staticrypt-modal');
+        const modal = document.getElementById("staticrypt-modal");
         if (!modal) return;
 
-        const closeBtn = modal.querySelector('.staticrypt-modal-close');
-        const form = modal.querySelector('#staticrypt-modal-form');
-        const passwordInput = modal.querySelector('#staticrypt-modal-password');
-        const toggleIcon = modal.querySelector('.staticrypt-toggle-password-visibility');
+        const closeBtn = modal.querySelector(".staticrypt-modal-close");
+        const form = modal.querySelector("#staticrypt-modal-form");
+        const passwordInput = modal.querySelector("#staticrypt-modal-password");
+        const toggleIcon = modal.querySelector(".staticrypt-toggle-password-visibility");
+        // custom modal templates made before the checkbox was added don't have it
+        const unlockAllCheckbox = modal.querySelector("#staticrypt-modal-unlock-all");
+
+        // hide the remember me checkbox if it's disabled
+        if (!window.staticryptConfig.isRememberEnabled) {
+            modal.querySelector(".staticrypt-remember").style.display = "none";
+        }
+
+        // opening all the sections at once only makes sense if there are several
+        if (unlockAllCheckbox && document.querySelectorAll("[data-staticrypt-id]").length < 2) {
+            unlockAllCheckbox.closest("label").style.display = "none";
+        }
 
         // Close modal handlers
-        closeBtn.onclick = () => {
-            modal.style.display = "none";
-            passwordInput.value = '';
-        };
-        
+        closeBtn.onclick = () => closeModal(modal);
+
         window.onclick = (event) => {
             if (event.target == modal) {
-                modal.style.display = "none";
-                passwordInput.value = '';
+                closeModal(modal);
             }
         };
 
@@ -139,150 +68,78 @@ const staticrypt = (function() {
         toggleIcon.addEventListener("click", () => {
             if (passwordInput.type === "password") {
                 passwordInput.type = "text";
-                toggleIcon.alt = "隐藏密码";
-                toggleIcon.title = "隐藏密码";
+                toggleIcon.alt = messages.toggle_hide;
+                toggleIcon.title = messages.toggle_hide;
             } else {
                 passwordInput.type = "password";
-                toggleIcon.alt = "显示密码";
-                toggleIcon.title = "显示密码";
+                toggleIcon.alt = messages.toggle_show;
+                toggleIcon.title = messages.toggle_show;
             }
         });
 
-        // Form submission
-        form.addEventListener('submit', async (e) => {
+        // Form submission: only the clicked section is decrypted, the other sections of its group then open without
+        // asking for the password again
+        form.addEventListener("submit", async (e) => {
             e.preventDefault();
+
             const password = passwordInput.value;
-            const rememberChecked = modal.querySelector('#staticrypt-modal-remember').checked;
-            const sectionId = modal.dataset.currentSectionId;
-            
-            if (!sectionId) return;
+            const isRememberChecked = modal.querySelector("#staticrypt-modal-remember").checked;
+            const isUnlockAllChecked = unlockAllCheckbox && unlockAllCheckbox.checked;
+            const group = modal.dataset.currentGroup;
 
-            try {
-                const hashedPassword = await cryptoEngine.hashPassword(password, window.staticryptConfig.salt);
-                const decrypted = await cryptoEngine.decrypt(window.staticryptConfig.encryptedContent, hashedPassword);
-                const sections = JSON.parse(decrypted);
-                
-                // Find the requested section
-                const section = sections.find(s => s.id === sectionId);
-                if (!section) throw new Error('Section not found');
+            if (!group) return;
 
-                // Store the decrypted section and its password
-                decryptedSections.set(sectionId, {
-                    content: section.content,
-                    password: hashedPassword
-                });
+            const { isSuccessful } = await engine.handleDecryptionOfPage(
+                password,
+                isRememberChecked,
+                group,
+                modal.dataset.currentSectionId
+            );
 
-                // Replace the placeholder with decrypted content
-                const placeholder = document.querySelector(`[data-staticrypt-id="${sectionId}"]`);
-                if (placeholder) {
-                    const temp = document.createElement('div');
-                    temp.innerHTML = section.content;
-                    while (temp.firstChild) {
-                        placeholder.parentNode.insertBefore(temp.firstChild, placeholder);
-                    }
-                    placeholder.remove();
-                }
+            if (!isSuccessful) {
+                alert(messages.error);
+                return;
+            }
 
-                // Store password if remember is checked
-                if (rememberChecked && window.staticryptConfig.isRememberEnabled) {
-                    localStorage.setItem(`staticrypt_passphrase_${sectionId}`, hashedPassword);
-                    if (window.staticryptConfig.rememberDurationInDays > 0) {
-                        localStorage.setItem(
-                            `staticrypt_expiration_${sectionId}`,
-                            (new Date().getTime() + window.staticryptConfig.rememberDurationInDays * 24 * 60 * 60 * 1000).toString()
-                        );
-                    }
-                }
+            closeModal(modal);
 
-                modal.style.display = "none";
-                passwordInput.value = '';
-            } catch (e) {
-                alert('密码错误，请重试');
+            if (isUnlockAllChecked) {
+                await exports.unlockAll();
             }
         });
     }
 
-    // Try to decrypt a section using remembered password
-    async function tryRememberedPassword(sectionId) {
-        if (!window.staticryptConfig.isRememberEnabled) return false;
-
-        const hashedPassword = localStorage.getItem(`staticrypt_passphrase_${sectionId}`);
-        const expiration = localStorage.getItem(`staticrypt_expiration_${sectionId}`);
-        
-        if (!hashedPassword || (expiration && new Date().getTime() > parseInt(expiration))) {
-            localStorage.removeItem(`staticrypt_passphrase_${sectionId}`);
-            localStorage.removeItem(`staticrypt_expiration_${sectionId}`);
-            return false;
-        }
-
-        try {
-            const decrypted = await cryptoEngine.decrypt(window.staticryptConfig.encryptedContent, hashedPassword);
-            const sections = JSON.parse(decrypted);
-            const section = sections.find(s => s.id === sectionId);
-            
-            if (!section) return false;
-
-            // Store the decrypted section and its password
-            decryptedSections.set(sectionId, {
-                content: section.content,
-                password: hashedPassword
-            });
+    // Initialize on DOMContentLoaded, then unlock the groups we have a remembered password or share link for
+    document.addEventListener("DOMContentLoaded", async function () {
+        engine = staticryptInitiator.init(window.staticryptConfig, templateConfig);
 
-            // Replace the placeholder with decrypted content
-            const placeholder = document.querySelector(`[data-staticrypt-id="${sectionId}"]`);
-            if (placeholder) {
-                const temp = document.createElement('div');
-                temp.innerHTML = section.content;
-                while (temp.firstChild) {
-                    placeholder.parentNode.insertBefore(temp.firstChild, placeholder);
-                }
-                placeholder.remove();
-            }
-            return true;
-        } catch (e) {
-            localStorage.removeItem(`staticrypt_passphrase_${sectionId}`);
-            localStorage.removeItem(`staticrypt_expiration_${sectionId}`);
-            return false;
-        }
-    }
+        // translate the page to the reader's browser language if it was built with --locale-detect
+        messages = staticryptInitiator.localize(window.staticryptConfig) || window.staticryptConfig.messages;
 
-    // Initialize on DOMContentLoaded
-    document.addEventListener('DOMContentLoaded', function() {
         initializeModal();
+
+        await engine.handleDecryptOnLoad();
     });
 
     // Public API
-    exports.showPasswordPrompt = function(sectionId) {
-        // First try to use remembered password
-        if (decryptedSections.has(sectionId)) {
-            const section = decryptedSections.get(sectionId);
-            const placeholder = document.querySelector(`[data-staticrypt-id="${sectionId}"]`);
-            if (placeholder) {
-                const temp = document.createElement('div');
-                temp.innerHTML = section.content;
-                while (temp.firstChild) {
-                    placeholder.parentNode.insertBefore(temp.firstChild, placeholder);
-                }
-                placeholder.remove();
-            }
-            return;
-        }
+    exports.showPasswordPrompt = async function (sectionId) {
+        // the group of the section was unlocked already, no need for the password
+        if (engine && (await engine.decryptUnlockedSection(sectionId))) return;
 
-        // If no remembered password or decryption failed, show the modal
-        const modal = document.getElementById('staticrypt-modal');
-        if (modal) {
-            modal.dataset.currentSectionId = sectionId;
-            modal.style.display = "block";
-            modal.querySelector('#staticrypt-modal-password').focus();
-            
-            // Try remembered password in background
-            tryRememberedPassword(sectionId).then(success => {
-                if (success) {
-                    modal.style.display = "none";
-                }
-            });
-        }
+        const modal = document.getElementById("staticrypt-modal");
+        if (!modal) return;
+
+        modal.dataset.currentSectionId = sectionId;
+        modal.dataset.currentGroup = getSectionGroup(sectionId);
+        modal.style.display = "block";
+        modal.querySelector("#staticrypt-modal-password").focus();
+    };
+
+    // decrypt the remaining sections of the groups the reader unlocked, ex: from the "Open all the sections" checkbox
+    // of the modal
+    exports.unlockAll = function () {
+        return engine ? engine.decryptUnlockedGroups() : Promise.resolve();
     };
 
     return exports;
-})(); 
+})();
@@ -1,96 +1,457 @@
 const cryptoEngine = /*[|js_crypto_engine|]*/ 0;
 const codec = /*[|js_codec|]*/ 0;
-const decode = codec.init(cryptoEngine).decode;
+const { decode, decodeBytesWithContentKey, decodeContentKey, decodeWithContentKey, getPayloadParameters } =
+    codec.init(cryptoEngine);
 
 /**
- * Initialize the staticrypt module, that exposes functions callbable by the password_template.
+ * Name of the group used for sections that don't specify one, unlocked by the main password.
+ */
+const DEFAULT_GROUP = "default";
+exports.DEFAULT_GROUP = DEFAULT_GROUP;
+
+// the parameters of share links (--share) and logout links, in the URL fragment or, for older links, the query string
+const PASSWORD_URL_KEY = "staticrypt_pwd";
+const REMEMBER_ME_URL_KEY = "remember_me";
+const LOGOUT_URL_KEY = "staticrypt_logout";
+
+/**
+ * Pick the message catalog matching the reader's browser languages among the ones embedded in the page
+ * (--locale-detect) and translate the elements marked with a data-staticrypt-i18n="<message>" attribute: the value of
+ * buttons, the placeholder of inputs, the alt and title of images and the text of other elements.
+ *
+ * @param {{localeCatalogs?: Object<string, Object<string, string>>}} staticryptConfig
+ * @returns {Object<string, string>|null} the messages of the picked locale, or null if the page wasn't built to
+ *   detect the locale or no catalog matches - the page is then already in the locale chosen at encryption time
+ */
+function localize(staticryptConfig) {
+    const { localeCatalogs } = staticryptConfig;
+    if (!localeCatalogs) {
+        return null;
+    }
+
+    const languages = navigator.languages || [navigator.language];
+    let messages = null;
+    for (const language of languages) {
+        const code = language.toLowerCase();
+        messages = localeCatalogs[code] || localeCatalogs[code.split("-")[0]];
+
+        if (messages) {
+            break;
+        }
+    }
+
+    if (!messages) {
+        return null;
+    }
+
+    document.querySelectorAll("[data-staticrypt-i18n]").forEach((element) => {
+        const message = messages[element.dataset.staticryptI18n];
+        if (message === undefined) {
+            return;
+        }
+
+        if (element.tagName === "INPUT" && (element.type === "submit" || element.type === "button")) {
+            element.value = message;
+        } else if (element.tagName === "INPUT") {
+            element.placeholder = message;
+        } else if (element.tagName === "IMG") {
+            element.alt = message;
+            element.title = message;
+        } else {
+            element.textContent = message;
+        }
+    });
+
+    return messages;
+}
+exports.localize = localize;
+
+/**
+ * Initialize the staticrypt module, that exposes functions callbable by the password_template and the section runtime.
  *
  * @param {{
+ *  encryptedGroups: Object<string, {key: string, sections: Object<string, string|{src: string}>}|string>,
+ *  isRememberEnabled: boolean,
+ *  rememberDurationInDays: number,
+ *  salt: string,
+ * }|{
  *  staticryptEncryptedMsgUniqueVariableName: string,
  *  isRememberEnabled: boolean,
  *  rememberDurationInDays: number,
  *  staticryptSaltUniqueVariableName: string,
- * }} staticryptConfig - object of data that is stored on the password_template at encryption time.
+ * }} staticryptConfig - object of data that is stored on the page at encryption time. Section mode pages have a key
+ *   payload per access group, so unlocking one group never exposes the sections of another, and each section is
+ *   encrypted on its own with the key of its group - or is in a .enc file fetched when it's opened. Pages encrypted
+ *   by older versions have a single payload per group. Full-page files (password_template) have a single payload
+ *   containing the whole page.
  *
  * @param {{
  *  rememberExpirationKey: string,
  *  rememberPassphraseKey: string,
  *  replaceHtmlCallback: function,
  *  clearLocalStorageCallback: function,
- * }} templateConfig - object of data that can be configured by a custom password_template.
+ * }} templateConfig - object of data that can be configured by a custom password_template or runtime.
+ *   replaceHtmlCallback receives the decrypted page in full-page mode, and the placeholder element and its decrypted
+ *   content in section mode.
  */
 function init(staticryptConfig, templateConfig) {
     const exports = {};
 
+    const isFullPage = staticryptConfig.staticryptEncryptedMsgUniqueVariableName !== undefined;
+
+    // the content key of each unlocked group, so its other sections open without asking for the password again
+    const contentKeys = {};
+    const decryptedSectionIds = new Set();
+    // the blob: URL of each encrypted asset, by .enc file, so an asset linked from several sections is fetched once
+    const assetUrls = {};
+
+    /**
+     * @returns {string}
+     */
+    function getSalt() {
+        return isFullPage ? staticryptConfig.staticryptSaltUniqueVariableName : staticryptConfig.salt;
+    }
+
+    /**
+     * Get the localStorage keys for a group. The default group keeps the historical keys so existing remembered
+     * passwords keep working.
+     *
+     * @param {string} group
+     * @returns {{rememberExpirationKey: string, rememberPassphraseKey: string}}
+     */
+    function getRememberKeys(group) {
+        const { rememberExpirationKey, rememberPassphraseKey } = templateConfig;
+
+        if (group === DEFAULT_GROUP) {
+            return { rememberExpirationKey, rememberPassphraseKey };
+        }
+
+        return {
+            rememberExpirationKey: rememberExpirationKey + "_" + group,
+            rememberPassphraseKey: rememberPassphraseKey + "_" + group,
+        };
+    }
+
+    /**
+     * @param {string} group
+     * @returns {string|undefined} the encrypted page, or the key payload (or the single payload) of the group
+     */
+    function getEncryptedMsg(group) {
+        if (isFullPage) {
+            return staticryptConfig.staticryptEncryptedMsgUniqueVariableName;
+        }
+
+        const encryptedGroup = staticryptConfig.encryptedGroups[group];
+
+        return typeof encryptedGroup === "object" ? encryptedGroup.key : encryptedGroup;
+    }
+
+    /**
+     * @returns {string[]} the groups that have encrypted content on this page - a full page is a single default group
+     */
+    function getGroups() {
+        return isFullPage ? [DEFAULT_GROUP] : Object.keys(staticryptConfig.encryptedGroups);
+    }
+    exports.getGroups = getGroups;
+
     /**
-     * Decrypt our encrypted page, replace only the marked content.
+     * Decrypt our encrypted page or the sections of a group, and replace the HTML.
      *
      * @param {string} hashedPassword
+     * @param {string} group
+     * @param {string} [sectionId] - only decrypt this section of the group, the others are decrypted when opened
      * @returns {Promise<boolean>}
      */
-    async function decryptAndReplaceHtml(hashedPassword) {
-        const { staticryptEncryptedMsgUniqueVariableName, staticryptSaltUniqueVariableName } = staticryptConfig;
+    function decryptAndReplaceHtml(hashedPassword, group, sectionId) {
+        if (isFullPage) {
+            return decryptAndReplacePage(hashedPassword);
+        }
 
-        const result = await decode(
-            staticryptEncryptedMsgUniqueVariableName,
-            hashedPassword,
-            staticryptSaltUniqueVariableName
-        );
+        if (typeof staticryptConfig.encryptedGroups[group] === "string") {
+            return decryptAndReplaceGroupPayload(hashedPassword, group);
+        }
+
+        return unlockGroup(hashedPassword, group, sectionId);
+    }
+
+    /**
+     * Decrypt our encrypted page, replace the whole HTML.
+     *
+     * @param {string} hashedPassword
+     * @returns {Promise<boolean>}
+     */
+    async function decryptAndReplacePage(hashedPassword) {
+        const { replaceHtmlCallback } = templateConfig;
+
+        const result = await decode(getEncryptedMsg(DEFAULT_GROUP), hashedPassword, getSalt());
+        if (!result.success) {
+            return false;
+        }
+        const plainHTML = result.decoded;
+
+        // if the user configured a callback call it, otherwise just replace the whole HTML
+        if (typeof replaceHtmlCallback === "function") {
+            replaceHtmlCallback(plainHTML);
+        } else {
+            document.write(plainHTML);
+            document.close();
+        }
+
+        return true;
+    }
+
+    /**
+     * Decrypt the single payload of a group, from a page encrypted by an older version, and replace all its marked
+     * sections with the decrypted content.
+     *
+     * @param {string} hashedPassword
+     * @param {string} group
+     * @returns {Promise<boolean>}
+     */
+    async function decryptAndReplaceGroupPayload(hashedPassword, group) {
+        const encryptedMsg = getEncryptedMsg(group);
+        if (!encryptedMsg) {
+            return false;
+        }
+
+        const result = await decode(encryptedMsg, hashedPassword, getSalt());
         if (!result.success) {
             return false;
         }
 
+        let sections;
         try {
-            // Parse the decrypted content which should be a JSON string containing encrypted sections
-            const encryptedSections = JSON.parse(result.decoded);
-            
-            // Replace each encrypted section in the document
-            for (const section of encryptedSections) {
-                const { id, content } = section;
-                const placeholder = document.querySelector(`[data-staticrypt-id="${id}"]`);
-                if (placeholder) {
-                    // Create a temporary container to parse the HTML content
-                    const temp = document.createElement('div');
-                    temp.innerHTML = content;
-                    
-                    // Replace the placeholder with the decrypted content
-                    while (temp.firstChild) {
-                        placeholder.parentNode.insertBefore(temp.firstChild, placeholder);
-                    }
-                    placeholder.remove();
+            sections = JSON.parse(result.decoded);
+        } catch (e) {
+            console.error("Failed to parse decrypted content:", e);
+            return false;
+        }
+
+        sections.forEach(({ id, content }) => replacePlaceholder(id, content));
+
+        return true;
+    }
+
+    /**
+     * Unwrap the content key of a group with the password, then decrypt one of its sections or all of them. A section
+     * that fails to load stays locked, but the group is unlocked all the same.
+     *
+     * @param {string} hashedPassword
+     * @param {string} group
+     * @param {string} [sectionId] - only decrypt this section
+     * @returns {Promise<boolean>} whether the password unlocks the group
+     */
+    async function unlockGroup(hashedPassword, group, sectionId) {
+        const encryptedMsg = getEncryptedMsg(group);
+        if (!encryptedMsg) {
+            return false;
+        }
+
+        const result = await decodeContentKey(encryptedMsg, hashedPassword, getSalt());
+        if (!result.success) {
+            return false;
+        }
+        contentKeys[group] = result.decoded;
+
+        const sectionIds = sectionId ? [sectionId] : Object.keys(staticryptConfig.encryptedGroups[group].sections);
+        for (const id of sectionIds) {
+            await decryptAndReplaceSection(group, id);
+        }
+
+        return true;
+    }
+
+    /**
+     * Decrypt a section of an unlocked group, fetching its .enc file if it's not in the page, and replace its
+     * placeholder.
+     *
+     * @param {string} group
+     * @param {string} sectionId
+     * @returns {Promise<boolean>}
+     */
+    async function decryptAndReplaceSection(group, sectionId) {
+        const { key, sections } = staticryptConfig.encryptedGroups[group];
+        let encryptedSection = sections[sectionId];
+
+        if (!encryptedSection) {
+            return false;
+        }
+        if (decryptedSectionIds.has(sectionId)) {
+            return true;
+        }
+
+        try {
+            if (typeof encryptedSection === "object") {
+                const response = await fetch(encryptedSection.src);
+                if (!response.ok) {
+                    throw new Error(`${response.status} ${response.statusText}`);
                 }
+                encryptedSection = await response.text();
             }
         } catch (e) {
-            console.error('Failed to parse decrypted content:', e);
+            console.error(`Failed to load the content of ${sectionId}:`, e);
+            return false;
+        }
+
+        const result = await decodeWithContentKey(encryptedSection, contentKeys[group], sectionId, key);
+        if (!result.success) {
+            console.error(`Failed to decrypt ${sectionId}:`, result.message);
             return false;
         }
 
+        const { content, assets } = JSON.parse(result.decoded);
+
+        decryptedSectionIds.add(sectionId);
+        replacePlaceholder(sectionId, content);
+
+        // the section is readable right away, its images and files show up as they're decrypted
+        if (assets) {
+            loadAssets(group, assets);
+        }
+
         return true;
     }
 
     /**
-     * Attempt to decrypt the page and replace the whole HTML.
+     * Fetch and decrypt the assets of a decrypted section (--encrypt-assets), and point the elements linking to them
+     * at their blob: URL.
+     *
+     * @param {string} group
+     * @param {{attribute: string, file: string, type: string}[]} assets - the attributes the CLI rewrote to
+     *   data-staticrypt-<attribute>="<.enc file>"
+     */
+    function loadAssets(group, assets) {
+        assets.forEach(({ attribute, file, type }) => {
+            if (!assetUrls[file]) {
+                assetUrls[file] = decryptAsset(group, file, type);
+            }
+
+            assetUrls[file].then(
+                (url) => {
+                    const dataAttribute = `data-staticrypt-${attribute}`;
+
+                    document.querySelectorAll(`[${dataAttribute}="${file}"]`).forEach((element) => {
+                        element.setAttribute(attribute, url);
+                        element.removeAttribute(dataAttribute);
+
+                        // <video> and <audio> only pick up a new <source> when they're loaded again
+                        if (element.tagName === "SOURCE" && element.parentElement && element.parentElement.load) {
+                            element.parentElement.load();
+                        }
+                    });
+                },
+                (e) => console.error(`Failed to load the asset ${file}:`, e)
+            );
+        });
+    }
+
+    /**
+     * @param {string} group
+     * @param {string} file - the .enc file of the asset, next to the page
+     * @param {string} type
+     * @returns {Promise<string>} the blob: URL of the decrypted asset
+     */
+    async function decryptAsset(group, file, type) {
+        const response = await fetch(file);
+        if (!response.ok) {
+            throw new Error(`${response.status} ${response.statusText}`);
+        }
+
+        const encryptedBytes = new Uint8Array(await response.arrayBuffer());
+        const result = await decodeBytesWithContentKey(encryptedBytes, contentKeys[group], file);
+        if (!result.success) {
+            throw new Error(result.message);
+        }
+
+        return URL.createObjectURL(new Blob([result.decoded], { type }));
+    }
+
+    /**
+     * Decrypt a section without asking for the password, if its group was unlocked already.
+     *
+     * @param {string} sectionId
+     * @returns {Promise<boolean>} false if the group of the section isn't unlocked
+     */
+    async function decryptUnlockedSection(sectionId) {
+        const group = getGroups().find(
+            (group) => contentKeys[group] && staticryptConfig.encryptedGroups[group].sections[sectionId]
+        );
+
+        return group ? decryptAndReplaceSection(group, sectionId) : false;
+    }
+    exports.decryptUnlockedSection = decryptUnlockedSection;
+
+    /**
+     * Decrypt all the sections of the groups that were unlocked, rather than waiting for each to be opened.
+     *
+     * @returns {Promise<void>}
+     */
+    async function decryptUnlockedGroups() {
+        for (const group of Object.keys(contentKeys)) {
+            for (const sectionId of Object.keys(staticryptConfig.encryptedGroups[group].sections)) {
+                await decryptAndReplaceSection(group, sectionId);
+            }
+        }
+    }
+    exports.decryptUnlockedGroups = decryptUnlockedGroups;
+
+    /**
+     * Swap the placeholder of a section for its decrypted content.
+     *
+     * @param {string} sectionId
+     * @param {string} content
+     */
+    function replacePlaceholder(sectionId, content) {
+        const { replaceHtmlCallback } = templateConfig;
+
+        const placeholder = document.querySelector(`[data-staticrypt-id="${sectionId}"]`);
+        if (!placeholder) {
+            return;
+        }
+
+        // if the user configured a callback call it, otherwise swap the placeholder for the decrypted content
+        if (typeof replaceHtmlCallback === "function") {
+            replaceHtmlCallback(placeholder, content);
+        } else {
+            const temp = document.createElement("div");
+            temp.innerHTML = content;
+
+            while (temp.firstChild) {
+                placeholder.parentNode.insertBefore(temp.firstChild, placeholder);
+            }
+            placeholder.remove();
+        }
+    }
+
+    /**
+     * Attempt to decrypt the page, or the sections of a group.
      *
      * @param {string} password
      * @param {boolean} isRememberChecked
+     * @param {string} group
+     * @param {string} [sectionId] - only decrypt this section of the group: the others are decrypted when they're
+     *   opened, without asking for the password again
      *
      * @returns {Promise<{isSuccessful: boolean, hashedPassword?: string}>} - we return an object, so that if we want to
-     *   expose more information in the future we can do it without breaking the password_template
+     *   expose more information in the future we can do it without breaking the runtime
      */
-    async function handleDecryptionOfPage(password, isRememberChecked) {
-        const { staticryptSaltUniqueVariableName } = staticryptConfig;
+    async function handleDecryptionOfPage(password, isRememberChecked, group = DEFAULT_GROUP, sectionId) {
+        const encryptedMsg = getEncryptedMsg(group);
+        if (!encryptedMsg) {
+            return { isSuccessful: false };
+        }
 
-        // decrypt and replace the whole page
-        const hashedPassword = await cryptoEngine.hashPassword(password, staticryptSaltUniqueVariableName);
-        return handleDecryptionOfPageFromHash(hashedPassword, isRememberChecked);
+        // hash the password with the key derivation function the page was encrypted with
+        const hashedPassword = await cryptoEngine.hashPassword(password, getSalt(), getPayloadParameters(encryptedMsg));
+        return handleDecryptionOfPageFromHash(hashedPassword, isRememberChecked, group, sectionId);
     }
     exports.handleDecryptionOfPage = handleDecryptionOfPage;
 
-    async function handleDecryptionOfPageFromHash(hashedPassword, isRememberChecked) {
+    async function handleDecryptionOfPageFromHash(hashedPassword, isRememberChecked, group = DEFAULT_GROUP, sectionId) {
         const { isRememberEnabled, rememberDurationInDays } = staticryptConfig;
-        const { rememberExpirationKey, rememberPassphraseKey } = templateConfig;
+        const { rememberExpirationKey, rememberPassphraseKey } = getRememberKeys(group);
 
-        const isDecryptionSuccessful = await decryptAndReplaceHtml(hashedPassword);
+        const isDecryptionSuccessful = await decryptAndReplaceHtml(hashedPassword, group, sectionId);
 
         if (!isDecryptionSuccessful) {
             return {
@@ -123,24 +484,59 @@ function init(staticryptConfig, templateConfig) {
      * Clear localstorage from staticrypt related values
      */
     function clearLocalStorage() {
-        const { clearLocalStorageCallback, rememberExpirationKey, rememberPassphraseKey } = templateConfig;
+        const { clearLocalStorageCallback } = templateConfig;
 
         if (typeof clearLocalStorageCallback === "function") {
             clearLocalStorageCallback();
         } else {
-            localStorage.removeItem(rememberPassphraseKey);
-            localStorage.removeItem(rememberExpirationKey);
+            getGroups().forEach(clearLocalStorageForGroup);
         }
     }
 
+    /**
+     * @param {string} group
+     */
+    function clearLocalStorageForGroup(group) {
+        const { rememberExpirationKey, rememberPassphraseKey } = getRememberKeys(group);
+
+        localStorage.removeItem(rememberPassphraseKey);
+        localStorage.removeItem(rememberExpirationKey);
+    }
+
+    /**
+     * Try to decrypt every group on load, from the URL or from a remembered password. The share link or logout
+     * parameters are then removed from the address bar.
+     *
+     * @returns {Promise<{isSuccessful: boolean, unlockedGroups: string[]}>}
+     */
     async function handleDecryptOnLoad() {
-        let isSuccessful = await decryptOnLoadFromUrl();
+        const unlockedGroups = [];
+
+        const hashedPasswordFromUrl = getHashedPasswordFromUrl();
+        const isLoggingOut = logoutIfNeeded();
+
+        for (const group of getGroups()) {
+            let isSuccessful = false;
+
+            if (hashedPasswordFromUrl) {
+                const { hashedPassword, rememberMe } = hashedPasswordFromUrl;
+                isSuccessful = (await handleDecryptionOfPageFromHash(hashedPassword, rememberMe, group)).isSuccessful;
+            }
+
+            if (!isSuccessful && !isLoggingOut) {
+                isSuccessful = await decryptOnLoadFromRememberMe(group);
+            }
+
+            if (isSuccessful) {
+                unlockedGroups.push(group);
+            }
+        }
 
-        if (!isSuccessful) {
-            isSuccessful = await decryptOnLoadFromRememberMe();
+        if (hashedPasswordFromUrl || isLoggingOut) {
+            removeUrlParameters();
         }
 
-        return { isSuccessful };
+        return { isSuccessful: unlockedGroups.length > 0, unlockedGroups };
     }
     exports.handleDecryptOnLoad = handleDecryptOnLoad;
 
@@ -150,18 +546,16 @@ function init(staticryptConfig, templateConfig) {
      * @returns {boolean} - whether we logged out
      */
     function logoutIfNeeded() {
-        const logoutKey = "staticrypt_logout";
-
         // handle logout through query param
         const queryParams = new URLSearchParams(window.location.search);
-        if (queryParams.has(logoutKey)) {
+        if (queryParams.has(LOGOUT_URL_KEY)) {
             clearLocalStorage();
             return true;
         }
 
         // handle logout through URL fragment
         const hash = window.location.hash.substring(1);
-        if (hash.includes(logoutKey)) {
+        if (hash.includes(LOGOUT_URL_KEY)) {
             clearLocalStorage();
             return true;
         }
@@ -170,19 +564,14 @@ function init(staticryptConfig, templateConfig) {
     }
 
     /**
-     * To be called on load: check if we want to try to decrypt and replace the HTML with the decrypted content, and
-     * try to do it if needed.
+     * Check if we have a remembered password for the group and try to decrypt its sections with it.
      *
-     * @returns {Promise<boolean>} true if we derypted and replaced the whole page, false otherwise
+     * @param {string} group
+     * @returns {Promise<boolean>} true if we decrypted and replaced the group's sections, false otherwise
      */
-    async function decryptOnLoadFromRememberMe() {
+    async function decryptOnLoadFromRememberMe(group) {
         const { rememberDurationInDays } = staticryptConfig;
-        const { rememberExpirationKey, rememberPassphraseKey } = templateConfig;
-
-        // if we are login out, terminate
-        if (logoutIfNeeded()) {
-            return false;
-        }
+        const { rememberExpirationKey, rememberPassphraseKey } = getRememberKeys(group);
 
         // if there is expiration configured, check if we're not beyond the expiration
         if (rememberDurationInDays && rememberDurationInDays > 0) {
@@ -190,7 +579,7 @@ function init(staticryptConfig, templateConfig) {
                 isExpired = expiration && new Date().getTime() > parseInt(expiration);
 
             if (isExpired) {
-                clearLocalStorage();
+                clearLocalStorageForGroup(group);
                 return false;
             }
         }
@@ -199,12 +588,12 @@ function init(staticryptConfig, templateConfig) {
 
         if (hashedPassword) {
             // try to decrypt
-            const isDecryptionSuccessful = await decryptAndReplaceHtml(hashedPassword);
+            const isDecryptionSuccessful = await decryptAndReplaceHtml(hashedPassword, group);
 
             // if the decryption is unsuccessful the password might be wrong - silently clear the saved data and let
             // the user fill the password form again
             if (!isDecryptionSuccessful) {
-                clearLocalStorage();
+                clearLocalStorageForGroup(group);
                 return false;
             }
 
@@ -214,43 +603,49 @@ function init(staticryptConfig, templateConfig) {
         return false;
     }
 
-    async function decryptOnLoadFromUrl() {
-        const passwordKey = "staticrypt_pwd";
-        const rememberMeKey = "remember_me";
-
+    /**
+     * @returns {{hashedPassword: string, rememberMe: boolean}|null}
+     */
+    function getHashedPasswordFromUrl() {
         // try to get the password from the query param (for backward compatibility - we now want to avoid this method,
         // since it sends the hashed password to the server which isn't needed)
         const queryParams = new URLSearchParams(window.location.search);
-        const hashedPasswordQuery = queryParams.get(passwordKey);
-        const rememberMeQuery = queryParams.get(rememberMeKey);
+        const hashedPasswordQuery = queryParams.get(PASSWORD_URL_KEY);
+        const rememberMeQuery = queryParams.get(REMEMBER_ME_URL_KEY);
 
         const urlFragment = window.location.hash.substring(1);
         // get the password from the url fragment
-        const hashedPasswordRegexMatch = urlFragment.match(new RegExp(passwordKey + "=([^&]*)"));
+        const hashedPasswordRegexMatch = urlFragment.match(new RegExp(PASSWORD_URL_KEY + "=([^&]*)"));
         const hashedPasswordFragment = hashedPasswordRegexMatch ? hashedPasswordRegexMatch[1] : null;
-        const rememberMeFragment = urlFragment.includes(rememberMeKey);
+        const rememberMeFragment = urlFragment.includes(REMEMBER_ME_URL_KEY);
 
         const hashedPassword = hashedPasswordFragment || hashedPasswordQuery;
         const rememberMe = rememberMeFragment || rememberMeQuery;
 
         if (hashedPassword) {
-            return handleDecryptionOfPageFromHash(hashedPassword, rememberMe);
+            return { hashedPassword, rememberMe };
         }
 
-        return false;
+        return null;
     }
 
-    // Add showPasswordPrompt function to exports
-    function showPasswordPrompt(sectionId) {
-        const modal = document.getElementById('staticrypt-modal');
-        if (modal) {
-            modal.style.display = "block";
-            document.getElementById('staticrypt-modal-password').focus();
-            // Store the current section ID for decryption
-            modal.dataset.currentSectionId = sectionId;
-        }
+    /**
+     * Remove the share link and logout parameters from the address bar, so the hashed password doesn't stay in the
+     * browser history or get copied along with the URL. The other parameters of the URL are kept.
+     */
+    function removeUrlParameters() {
+        const urlKeys = [PASSWORD_URL_KEY, REMEMBER_ME_URL_KEY, LOGOUT_URL_KEY];
+        const url = new URL(window.location.href);
+
+        urlKeys.forEach((key) => url.searchParams.delete(key));
+        url.hash = url.hash
+            .substring(1)
+            .split("&")
+            .filter((parameter) => parameter !== "" && !urlKeys.includes(parameter.split("=")[0]))
+            .join("&");
+
+        window.history.replaceState(window.history.state, "", url.href);
     }
-    exports.showPasswordPrompt = showPasswordPrompt;
 
     return exports;
 }
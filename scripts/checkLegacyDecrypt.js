@@ -0,0 +1,24 @@
+// Check that pages encrypted by the first section mode of StatiCrypt still decrypt to their source: the fixture in
+// example/legacy was encrypted with password "test" by the CLI of that version.
+// Should be run with "npm test"
+
+const assert = require("assert");
+const fs = require("fs");
+
+const { decryptHtml } = require("../index.js");
+
+async function checkLegacyDecrypt() {
+    const source = fs.readFileSync("./example/legacy/section.html", "utf8");
+    const encrypted = fs.readFileSync("./example/legacy/section.encrypted.html", "utf8");
+
+    assert.strictEqual(await decryptHtml(encrypted, "test"), source);
+
+    await assert.rejects(decryptHtml(encrypted, "wrong password"), { name: "DecryptionError" });
+
+    console.log("legacy section page decrypted to its source");
+}
+
+checkLegacyDecrypt().catch((e) => {
+    console.error(e);
+    process.exit(1);
+});